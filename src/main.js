@@ -1,10 +1,15 @@
 import { MapManager } from './modules/map.js';
-import { SolarCalculator } from './modules/solar.js';
-import { StreetDataManager } from './modules/streets.js';
+import { SolarCalculator, SUN_EVENT_STATUS } from './modules/solar.js';
+import { LunarCalculator } from './modules/lunar.js';
+import { TerrainManager } from './modules/terrain.js';
+import { StreetDataManager, OverpassError } from './modules/streets.js';
 import { HeatmapManager } from './modules/heatmap.js';
 import { UIManager } from './modules/ui.js';
-import { OptimalDayCalculator } from './modules/optimal-day.js';
+import { OptimalDayService } from './modules/optimal-day-service.js';
 import { CONFIG } from './utils/constants.js';
+import { getTimeZone, getZonedDayAnchor, zonedTimeToDate } from './utils/timezone.js';
+import { getSegmentCenter, calculateDistance } from './utils/geometry.js';
+import { createIcsCalendar, createAlignmentEvents, downloadIcsFile } from './utils/ics.js';
 
 /**
  * Main application class
@@ -13,10 +18,15 @@ class SunMapApp {
     constructor() {
         this.mapManager = null;
         this.solarCalculator = null;
+        this.lunarCalculator = null;
+        this.terrainManager = null;
         this.streetDataManager = null;
         this.heatmapManager = null;
         this.uiManager = null;
-        this.optimalDayCalculator = null;
+        this.optimalDayService = null;
+        this.nextAlignmentsController = null;
+        this.calendarExportController = null;
+        this.analysisController = null;
         this.isInitialized = false;
     }
 
@@ -30,10 +40,12 @@ class SunMapApp {
             // Initialize managers
             this.mapManager = new MapManager('map');
             this.solarCalculator = new SolarCalculator();
+            this.lunarCalculator = new LunarCalculator();
+            this.terrainManager = new TerrainManager();
             this.streetDataManager = new StreetDataManager();
             this.heatmapManager = new HeatmapManager();
             this.uiManager = new UIManager();
-            this.optimalDayCalculator = new OptimalDayCalculator();
+            this.optimalDayService = new OptimalDayService();
 
             // Initialize UI
             this.uiManager.init();
@@ -50,9 +62,15 @@ class SunMapApp {
             // Set up optimal day functionality
             this.setupOptimalDayCallbacks();
 
+            // Default the date picker to today at the map location
+            const center = this.mapManager.getCenter();
+            this.uiManager.setFormData({ date: new Date(), timeZone: getTimeZone(center.lat, center.lng) });
+
             this.isInitialized = true;
             console.log('Application initialized successfully');
 
+            this.refreshStreetStorageUsage();
+
             // Show initial info
             this.uiManager.showInfo('Select a date and time, then click "Update Map" to see street alignments');
 
@@ -71,7 +89,18 @@ class SunMapApp {
         this.uiManager.setCallbacks({
             onUpdate: (data) => this.handleMapUpdate(data),
             onDateChange: (data) => this.handleDateChange(data),
-            onTimeToggleChange: (data) => this.handleTimeToggleChange(data)
+            onTimeToggleChange: (data) => this.handleTimeToggleChange(data),
+            onTimeChange: (data) => this.handleTimeChange(data),
+            onDemFileSelected: (file) => this.handleDemFileSelected(file),
+            onStreetFileSelected: (file) => this.handleStreetFileSelected(file),
+            onClearStreetImport: () => this.handleClearStreetImport(),
+            onClearStreetStorage: () => this.handleClearStreetStorage(),
+            onSunPathToggle: (enabled) => this.handleSunPathToggle(enabled),
+            onCompareEngines: (data) => this.handleEngineComparison(data),
+            onExportCalendar: () => this.handleViewportCalendarExport(),
+            onFindNextAlignments: () => this.handleFindNextAlignments(),
+            onCloseNextAlignments: () => this.cancelNextAlignments(),
+            onSelectNextAlignment: (event) => this.handleSelectNextAlignment(event)
         });
     }
 
@@ -82,6 +111,12 @@ class SunMapApp {
         this.mapManager.onBoundsChange((bounds) => {
             this.handleBoundsChange(bounds);
         });
+
+        this.mapManager.onMapClick((lat, lng) => {
+            if (this.uiManager.isSunPathEnabled()) {
+                this.showSunPath(lat, lng);
+            }
+        });
     }
 
     /**
@@ -91,15 +126,25 @@ class SunMapApp {
         console.log('Setting up optimal day callbacks...');
         
         // Set up optimal day calculation callback
-        this.mapManager.setOptimalDayCalculationCallback(async (streetBearing, lat, lng, progressCallback) => {
+        this.mapManager.setOptimalDayCalculationCallback(async (streetBearing, lat, lng, progressCallback, range, signal) => {
             console.log('Optimal day calculation callback triggered');
-            return await this.handleOptimalDayCalculation(streetBearing, lat, lng, progressCallback);
+            return await this.handleOptimalDayCalculation(streetBearing, lat, lng, progressCallback, range, signal);
+        });
+
+        // Set up bright moon alignment callback
+        this.mapManager.setMoonAlignmentCalculationCallback(async (streetBearing, lat, lng, progressCallback, range, signal) => {
+            return await this.handleMoonAlignmentCalculation(streetBearing, lat, lng, progressCallback, range, signal);
         });
 
         // Set up jump to date callback
-        this.mapManager.setJumpToDateCallback((date, isSunrise) => {
+        this.mapManager.setJumpToDateCallback((date, isSunrise, mode) => {
             console.log('Jump to date callback triggered');
-            this.handleJumpToDate(date, isSunrise);
+            this.handleJumpToDate(date, isSunrise, mode);
+        });
+
+        // Set up calendar export of a single street's results
+        this.mapManager.setCalendarExportCallback((segment, result) => {
+            this.handleSegmentCalendarExport(segment, result);
         });
         
         console.log('Optimal day callbacks setup complete');
@@ -107,14 +152,18 @@ class SunMapApp {
 
     /**
      * Handle map update request
-     * @param {Object} data - Form data {date, isSunrise}
+     * @param {Object} formData - Form data {date, dateValue, mode, isSunrise, minutes, time, ...}
      */
-    async handleMapUpdate(data) {
-        try {
-            console.log('Updating map with data:', data);
+    async handleMapUpdate(formData) {
+        // A viewport export searches the streets of the view being replaced
+        this.cancelCalendarExport();
 
+        try {
             const center = this.mapManager.getCenter();
             const bounds = this.mapManager.getBounds();
+            const data = this.localizeFormData(formData, center.lat, center.lng);
+
+            console.log('Updating map with data:', data);
 
             // Check if bounds are too large
             if (this.streetDataManager.areBoundsTooLarge(bounds)) {
@@ -123,18 +172,39 @@ class SunMapApp {
                 return;
             }
 
-            // Calculate sun azimuth
-            const sunAzimuth = this.solarCalculator.getSunAzimuth(
-                data.date, 
-                center.lat, 
-                center.lng, 
-                data.isSunrise
-            );
+            if (data.streetFilter.types.length === 0) {
+                this.uiManager.showError('Select at least one street type.');
+                return;
+            }
 
-            console.log(`Sun azimuth: ${sunAzimuth.toFixed(2)}°`);
+            // Resolve the event at the map center first so a missing event gets a clear notice
+            const centerPosition = this.resolveTargetPosition(data, center.lat, center.lng);
+            const moonEvent = centerPosition.moonEvent || null;
 
-            // Fetch street data
+            // No sunrise/sunset to align with: say so rather than painting a misleading map
+            if (centerPosition.status !== SUN_EVENT_STATUS.NORMAL) {
+                console.log(`No ${data.mode} today: ${centerPosition.status}`);
+                this.mapManager.clearStreets();
+                this.uiManager.updateLegend(null, data.colorMode);
+                this.uiManager.updateMoonInfo(null);
+                this.uiManager.updateEventTime(null);
+                this.uiManager.updateSunStateNotice(centerPosition.status);
+                return;
+            }
+
+            if (centerPosition.azimuth === null) {
+                this.uiManager.updateMoonInfo(null);
+                this.uiManager.updateEventTime(null);
+                this.uiManager.showInfo(`No ${data.mode} on ${data.dateValue} at this location`);
+                return;
+            }
+
+            console.log(`Azimuth at map center: ${centerPosition.azimuth.toFixed(2)}°`);
+
+            // Assemble the view from cached street tiles, fetching only the missing ones
+            this.streetDataManager.setFilter(data.streetFilter);
             const segments = await this.streetDataManager.fetchStreetData(bounds);
+            this.streetDataManager.waitForStorage().then(() => this.refreshStreetStorageUsage());
             
             if (segments.length === 0) {
                 this.uiManager.showInfo('No street data found in this area');
@@ -142,37 +212,313 @@ class SunMapApp {
                 return;
             }
 
-            // Calculate alignment scores
-            const alignedSegments = this.heatmapManager.calculateAlignmentScores(segments, sunAzimuth);
+            // Calculate alignment scores against the azimuth at each segment's location
+            this.heatmapManager.setScoring(data.scoring);
+            this.mapManager.setScoring(data.scoring);
+            const alignedSegments = this.heatmapManager.calculateAlignmentScoresByLocation(segments, (lat, lng) => {
+                const position = this.resolveTargetPosition(data, lat, lng);
+                return position.azimuth === null ? null : position;
+            });
+
+            // Seasonal views: color each street by when or how often it lines up with the sun
+            if (data.colorMode !== 'alignment') {
+                await this.attachAnnualAnalysis(alignedSegments, data, center);
+            }
 
             // Update map visualization
             this.mapManager.clearStreets();
-            this.mapManager.addStreetSegments(alignedSegments);
+            this.mapManager.addStreetSegments(alignedSegments, data.colorMode);
 
             // Update UI with statistics
             const stats = this.heatmapManager.getAlignmentStats(alignedSegments);
-            this.uiManager.updateLegend(stats);
+            this.uiManager.updateLegend(this.getLegendStats(alignedSegments, stats, data.colorMode), data.colorMode);
+            this.uiManager.updateSunStateNotice(SUN_EVENT_STATUS.NORMAL);
+            this.uiManager.updateMoonInfo(moonEvent ? this.lunarCalculator.getMoonPhase(moonEvent.time) : null);
+            this.uiManager.updateEventTime({
+                label: this.getModeLabel(data.mode),
+                time: centerPosition.time,
+                timeZone: data.timeZone
+            });
+
+            // Keep the sun path overlay in step with the date and event settings
+            this.refreshSunPath();
 
             // Show completion message
-            this.uiManager.showInfo(`Analyzed ${alignedSegments.length} street segments`);
+            if (stats.sunBelowHorizon) {
+                this.uiManager.showInfo(`Analyzed ${alignedSegments.length} street segments (sun is below the horizon at ${this.solarCalculator.formatTime(data.time, data.timeZone)})`, 5000);
+            } else {
+                this.uiManager.showInfo(`Analyzed ${alignedSegments.length} street segments`);
+            }
 
             console.log('Map update completed:', stats);
 
         } catch (error) {
+            // Superseded by a newer update
+            if (error.name === 'AbortError') return;
+
             console.error('Error updating map:', error);
-            this.uiManager.showError('Failed to update map. Please try again.');
+            if (error instanceof OverpassError) {
+                this.uiManager.showStreetDataError(error);
+            } else {
+                this.uiManager.showError('Failed to update map. Please try again.');
+            }
         } finally {
             this.uiManager.setLoadingState(false);
         }
     }
 
+    /**
+     * Attach the annual analysis of the coloring mode to each segment: the henge date (day of best
+     * sunrise/sunset alignment) or the number of aligned days per year.
+     * One search at the map center covers the whole view; terrain horizons are not applied.
+     * @param {Array} segments - Segments to annotate with {henge} or {alignedDays, alignedDaysThreshold}
+     * @param {Object} data - Localized form data
+     * @param {Object} center - Map center {lat, lng}
+     */
+    async attachAnnualAnalysis(segments, data, center) {
+        if (this.analysisController) {
+            this.analysisController.abort();
+        }
+        const controller = new AbortController();
+        this.analysisController = controller;
+
+        const bearings = segments.map(segment => segment.bearing);
+        const options = {
+            includeSunrise: data.mode !== 'sunset',
+            includeSunset: data.mode !== 'sunrise',
+            eventOptions: { altitude: data.eventAltitude, observer: data.observer },
+            scoring: data.scoring,
+            timeZone: data.timeZone
+        };
+
+        try {
+            if (data.colorMode === 'alignedDays') {
+                this.uiManager.showInfo(`Counting aligned days for ${segments.length} street segments...`);
+
+                const result = await this.optimalDayService.countAlignedDays(
+                    bearings, center.lat, center.lng, null,
+                    { ...options, minScore: data.alignedDaysThreshold },
+                    controller.signal
+                );
+
+                segments.forEach((segment, index) => {
+                    segment.alignedDays = result.counts[index];
+                    segment.alignedDaysThreshold = result.minScore;
+                });
+            } else {
+                this.uiManager.showInfo(`Finding henge dates for ${segments.length} street segments...`);
+
+                const result = await this.optimalDayService.findHengeDates(
+                    bearings, center.lat, center.lng, null, options, controller.signal
+                );
+
+                segments.forEach((segment, index) => {
+                    segment.henge = result.dates[index];
+                });
+            }
+        } finally {
+            if (this.analysisController === controller) {
+                this.analysisController = null;
+            }
+        }
+    }
+
+    /**
+     * Get the statistics the legend shows for a coloring mode
+     * @param {Array} segments - Scored segments
+     * @param {Object} alignmentStats - Alignment statistics of the segments
+     * @param {string} colorMode - Coloring mode
+     * @returns {Object} Statistics for UIManager.updateLegend
+     */
+    getLegendStats(segments, alignmentStats, colorMode) {
+        if (colorMode === 'hengeDay' || colorMode === 'hengeMonth') {
+            return this.heatmapManager.getHengeStats(segments);
+        }
+        if (colorMode === 'alignedDays') {
+            return this.heatmapManager.getAlignedDaysStats(segments);
+        }
+        return alignmentStats;
+    }
+
+    /**
+     * Resolve the azimuth to align streets with for the selected mode at a location
+     * @param {Object} data - Form data {date, mode, isSunrise, time, eventAltitude, useTerrain, observer}
+     * @param {number} lat - Latitude
+     * @param {number} lng - Longitude
+     * @returns {Object} {azimuth, altitude, time, status, moonEvent}; azimuth is null when the event does not occur
+     */
+    resolveTargetPosition(data, lat, lng) {
+        if (data.mode === 'moonrise' || data.mode === 'moonset') {
+            const moonEvent = this.lunarCalculator.getMoonEvent(data.date, lat, lng, data.mode === 'moonrise', data.timeZone);
+            return {
+                azimuth: moonEvent ? moonEvent.azimuth : null,
+                altitude: null,
+                time: moonEvent ? moonEvent.time : null,
+                status: SUN_EVENT_STATUS.NORMAL,
+                moonEvent
+            };
+        }
+
+        if (data.mode === 'time') {
+            const position = this.solarCalculator.getSunPositionAt(data.time, lat, lng);
+            if (!position) {
+                throw new Error(`Could not calculate sun position for ${data.time}`);
+            }
+            return {
+                azimuth: position.azimuth,
+                altitude: position.altitude,
+                time: data.time,
+                status: SUN_EVENT_STATUS.NORMAL
+            };
+        }
+
+        const sunEvent = this.solarCalculator.getSunEvent(data.date, lat, lng, data.isSunrise, this.getEventOptions(data, lat, lng));
+        return {
+            azimuth: sunEvent.azimuth,
+            altitude: null,
+            time: sunEvent.time,
+            status: sunEvent.status
+        };
+    }
+
+    /**
+     * Interpret the picked calendar day and clock time in the map location's time zone
+     * @param {Object} data - Form data from UIManager
+     * @param {number} lat - Latitude
+     * @param {number} lng - Longitude
+     * @returns {Object} Form data with timeZone, date (local noon anchor) and time (exact instant)
+     */
+    localizeFormData(data, lat, lng) {
+        const timeZone = getTimeZone(lat, lng);
+        const localized = { ...data, timeZone };
+
+        if (data.dateValue) {
+            localized.date = getZonedDayAnchor(data.dateValue, timeZone);
+
+            if (data.mode === 'time') {
+                const [year, month, day] = data.dateValue.split('-').map(Number);
+                localized.time = zonedTimeToDate(year, month, day, Math.floor(data.minutes / 60), data.minutes % 60, timeZone);
+            }
+        }
+
+        return localized;
+    }
+
+    /**
+     * Get display label for an alignment mode
+     * @param {string} mode - sunrise, sunset, time, moonrise or moonset
+     * @returns {string} Label
+     */
+    getModeLabel(mode) {
+        const labels = {
+            sunrise: 'Sunrise',
+            sunset: 'Sunset',
+            time: 'Time',
+            moonrise: 'Moonrise',
+            moonset: 'Moonset'
+        };
+        return labels[mode] || mode;
+    }
+
+    /**
+     * Build the sun event definition shared by the heatmap and optimal day search
+     * @param {Object} data - Form data
+     * @param {number} lat - Observer latitude
+     * @param {number} lng - Observer longitude
+     * @returns {Object} Event options for SolarCalculator.getSunEvent
+     */
+    getEventOptions(data, lat, lng) {
+        const eventOptions = {
+            altitude: data.eventAltitude,
+            observer: data.observer
+        };
+
+        // Locations outside the loaded DEM keep the flat horizon
+        if (data.useTerrain && this.terrainManager.hasTerrain()) {
+            const horizon = this.terrainManager.getHorizonProfile(lat, lng, data.observer ? data.observer.height : 0);
+            if (horizon) {
+                eventOptions.horizon = horizon;
+            }
+        }
+
+        return eventOptions;
+    }
+
+    /**
+     * Handle DEM file selection
+     * @param {File} file - Selected elevation file
+     */
+    async handleDemFileSelected(file) {
+        try {
+            this.uiManager.showInfo(`Loading terrain from ${file.name}...`);
+            const grid = await this.terrainManager.loadFile(file);
+
+            this.uiManager.setTerrainAvailable(true);
+            this.uiManager.showInfo(`Loaded terrain ${grid.name} (${grid.width}×${grid.height}). Click "Update Map" to apply.`, 5000);
+
+        } catch (error) {
+            console.error('Error loading DEM file:', error);
+            this.uiManager.showError(`Could not load terrain: ${error.message}`);
+        }
+    }
+
+    /**
+     * Handle a street file to map instead of Overpass data
+     * @param {File} file - .geojson/.json, .osm/.xml or .osm.pbf file
+     */
+    async handleStreetFileSelected(file) {
+        try {
+            this.uiManager.showInfo(`Loading streets from ${file.name}...`);
+            const imported = await this.streetDataManager.importFile(file);
+
+            this.uiManager.setStreetImport(imported.name);
+            this.mapManager.fitBounds(imported.bounds);
+            this.uiManager.showInfo(`Imported ${imported.wayCount} way${imported.wayCount === 1 ? '' : 's'} from ${imported.name}`, 5000);
+            this.uiManager.handleUpdateClick();
+
+        } catch (error) {
+            console.error('Error importing street file:', error);
+            this.uiManager.showError(`Could not import streets: ${error.message}`);
+        }
+    }
+
+    /**
+     * Handle going back from imported streets to Overpass data
+     */
+    handleClearStreetImport() {
+        this.streetDataManager.clearImport();
+        this.uiManager.setStreetImport(null);
+        this.uiManager.handleUpdateClick();
+    }
+
+    /**
+     * Handle clearing street data kept across sessions
+     */
+    async handleClearStreetStorage() {
+        try {
+            await this.streetDataManager.clearStoredData();
+            this.uiManager.showInfo('Saved street data cleared');
+        } catch (error) {
+            console.error('Error clearing saved street data:', error);
+            this.uiManager.showError('Failed to clear saved street data');
+        }
+        await this.refreshStreetStorageUsage();
+    }
+
+    /**
+     * Update the saved street data shown in the controls
+     */
+    async refreshStreetStorageUsage() {
+        this.uiManager.setStreetStorageUsage(await this.streetDataManager.getStorageStats());
+    }
+
     /**
      * Handle date change
      * @param {Object} data - Form data
      */
     handleDateChange(data) {
         console.log('Date changed:', data.date);
-        // Could trigger automatic update here if desired
+        this.refreshSunPath();
     }
 
     /**
@@ -180,10 +526,91 @@ class SunMapApp {
      * @param {Object} data - Form data
      */
     handleTimeToggleChange(data) {
-        console.log('Time toggle changed:', data.isSunrise ? 'sunrise' : 'sunset');
+        console.log('Time toggle changed:', data.mode);
         // Could trigger automatic update here if desired
     }
 
+    /**
+     * Handle time of day slider change
+     * @param {Object} data - Form data
+     */
+    handleTimeChange(data) {
+        console.log('Time of day changed:', data.time);
+        // Could trigger automatic update here if desired
+    }
+
+    /**
+     * Compare solar engines at the map center for the selected date
+     * @param {Object} formData - Form data
+     */
+    handleEngineComparison(formData) {
+        try {
+            const center = this.mapManager.getCenter();
+            const data = this.localizeFormData(formData, center.lat, center.lng);
+            const eventOptions = this.getEventOptions(data, center.lat, center.lng);
+
+            const comparison = this.solarCalculator.compareEngines(
+                data.date,
+                center.lat,
+                center.lng,
+                eventOptions,
+                data.mode === 'time' ? data.time : null
+            );
+
+            this.uiManager.showEngineComparison({
+                ...comparison,
+                dateValue: data.dateValue,
+                timeZone: data.timeZone
+            });
+        } catch (error) {
+            console.error('Error comparing solar engines:', error);
+            this.uiManager.showError('Failed to compare solar engines. Please try again.');
+        }
+    }
+
+    /**
+     * Handle sun path toggle
+     * @param {boolean} enabled - True if map clicks should place the overlay
+     */
+    handleSunPathToggle(enabled) {
+        if (enabled) {
+            this.uiManager.showInfo('Click the map to see the sun path at that location', 3000);
+        } else {
+            this.mapManager.clearSunPath();
+        }
+    }
+
+    /**
+     * Show the sun path overlay for the selected date at a location
+     * @param {number} lat - Latitude
+     * @param {number} lng - Longitude
+     */
+    showSunPath(lat, lng) {
+        try {
+            const data = this.localizeFormData(this.uiManager.getFormData(), lat, lng);
+            const eventOptions = this.getEventOptions(data, lat, lng);
+            const year = parseInt(data.dateValue.slice(0, 4), 10);
+
+            const path = this.solarCalculator.getSunPath(data.date, lat, lng, eventOptions, data.timeZone);
+            const solstices = this.solarCalculator.getSolsticePaths(year, lat, lng, eventOptions, data.timeZone);
+
+            this.mapManager.showSunPath(lat, lng, path, solstices, data.timeZone);
+        } catch (error) {
+            console.error('Error drawing sun path:', error);
+            this.uiManager.showError('Failed to draw the sun path. Please try again.');
+        }
+    }
+
+    /**
+     * Redraw the sun path overlay for the current form settings, if one is shown
+     */
+    refreshSunPath() {
+        const location = this.mapManager.getSunPathLocation();
+        if (location) {
+            this.showSunPath(location.lat, location.lng);
+        }
+    }
+
     /**
      * Handle map bounds change
      * @param {Object} bounds - New map bounds
@@ -203,57 +630,338 @@ class SunMapApp {
      * @param {number} lat - Latitude
      * @param {number} lng - Longitude  
      * @param {Function} progressCallback - Progress callback function
+     * @param {Object|null} range - {startDate, endDate} date strings (defaulting to the next 12 months),
+     *     optionally with the street's corridor for alignment windows
+     * @param {AbortSignal|null} signal - Cancels the search (e.g. when the popup closes)
      * @returns {Promise<Object>} Optimal day calculation result
      */
-    async handleOptimalDayCalculation(streetBearing, lat, lng, progressCallback) {
+    async handleOptimalDayCalculation(streetBearing, lat, lng, progressCallback, range = null, signal = null) {
         try {
             console.log(`Calculating optimal day for street bearing ${streetBearing}° at ${lat.toFixed(4)}, ${lng.toFixed(4)}`);
             
-            const result = await this.optimalDayCalculator.findOptimalDayWithProgress(
+            const result = await this.optimalDayService.findOptimalDay(
                 streetBearing,
                 lat,
                 lng,
                 progressCallback,
                 {
-                    year: new Date().getFullYear(),
+                    ...range,
                     includeSunrise: true,
-                    includeSunset: true
-                }
+                    includeSunset: true,
+                    eventOptions: this.getEventOptions(this.uiManager.getFormData(), lat, lng),
+                    scoring: this.uiManager.getScoring(),
+                    timeZone: getTimeZone(lat, lng)
+                },
+                signal
             );
 
             console.log('Optimal day calculation completed:', result);
             return result;
 
         } catch (error) {
+            if (error.name === 'AbortError') {
+                console.log('Optimal day calculation cancelled');
+                throw error;
+            }
             console.error('Error in optimal day calculation:', error);
             throw error;
         }
     }
 
+    /**
+     * Handle bright moon alignment search request
+     * @param {number} streetBearing - Street bearing in degrees
+     * @param {number} lat - Latitude
+     * @param {number} lng - Longitude
+     * @param {Function} progressCallback - Progress callback function
+     * @param {Object|null} range - {startDate, endDate} date strings; defaults to the next 12 months
+     * @param {AbortSignal|null} signal - Cancels the search (e.g. when the popup closes)
+     * @returns {Promise<Object>} Moon alignment result
+     */
+    async handleMoonAlignmentCalculation(streetBearing, lat, lng, progressCallback, range = null, signal = null) {
+        try {
+            console.log(`Searching bright moon alignments for street bearing ${streetBearing}° at ${lat.toFixed(4)}, ${lng.toFixed(4)}`);
+
+            const result = await this.optimalDayService.findBrightMoonAlignments(
+                streetBearing,
+                lat,
+                lng,
+                progressCallback,
+                {
+                    ...range,
+                    includeMoonrise: true,
+                    includeMoonset: true,
+                    scoring: this.uiManager.getScoring(),
+                    timeZone: getTimeZone(lat, lng)
+                },
+                signal
+            );
+
+            console.log('Moon alignment search completed:', result);
+            return result;
+
+        } catch (error) {
+            if (error.name === 'AbortError') {
+                console.log('Moon alignment search cancelled');
+                throw error;
+            }
+            console.error('Error in moon alignment search:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Describe a street segment for calendar events
+     * @param {Object} segment - Street segment
+     * @returns {Object} {lat, lng, bearing, osmId, highway}
+     */
+    getCalendarStreet(segment) {
+        const center = getSegmentCenter(segment);
+        return {
+            lat: center.lat,
+            lng: center.lng,
+            bearing: segment.bearing,
+            osmId: segment.osmId,
+            highway: segment.highway
+        };
+    }
+
+    /**
+     * Export one street's optimal days as an iCalendar file
+     * @param {Object} segment - Street segment
+     * @param {Object} result - Optimal day result shown in the popup
+     */
+    handleSegmentCalendarExport(segment, result) {
+        try {
+            const events = createAlignmentEvents(this.getCalendarStreet(segment), result);
+
+            if (events.length === 0) {
+                this.uiManager.showInfo('No alignments to export for this street');
+                return;
+            }
+
+            const content = createIcsCalendar(events, { alarmMinutes: this.uiManager.getCalendarAlarmMinutes() });
+            downloadIcsFile(content, `sun-map-${segment.osmId || 'street'}.ics`);
+            this.uiManager.showInfo(`Exported ${events.length} alignment${events.length === 1 ? '' : 's'} to calendar`);
+
+        } catch (error) {
+            console.error('Error exporting calendar:', error);
+            this.uiManager.showError('Failed to export calendar. Please try again.');
+        }
+    }
+
+    /**
+     * Search every street in the viewport and export their alignments as one iCalendar file
+     * Clicking the export button again while it runs cancels the export
+     */
+    async handleViewportCalendarExport() {
+        if (this.calendarExportController) {
+            this.cancelCalendarExport();
+            return;
+        }
+
+        const { streets, skipped } = this.selectViewportStreets();
+
+        if (streets.length === 0) {
+            this.uiManager.showInfo('No streets in view. Click "Update Map" first.');
+            return;
+        }
+
+        const controller = new AbortController();
+        this.calendarExportController = controller;
+
+        const events = [];
+
+        try {
+            for (let i = 0; i < streets.length; i++) {
+                this.uiManager.setCalendarExportState(`Cancel export (${i + 1}/${streets.length})`);
+
+                const street = this.getCalendarStreet(streets[i]);
+                const result = await this.handleOptimalDayCalculation(street.bearing, street.lat, street.lng, null, null, controller.signal);
+                events.push(...createAlignmentEvents(street, result, CONFIG.calendar.minAlignmentScore));
+            }
+
+            if (events.length === 0) {
+                this.uiManager.showInfo('No strong alignments found for the streets in view');
+                return;
+            }
+
+            events.sort((a, b) => a.start - b.start);
+
+            const content = createIcsCalendar(events, { alarmMinutes: this.uiManager.getCalendarAlarmMinutes() });
+            downloadIcsFile(content, 'sun-map-alignments.ics');
+
+            this.uiManager.showInfo(
+                `Exported ${events.length} alignments from ${streets.length} streets` +
+                (skipped > 0 ? ` (${skipped} shorter streets skipped, zoom in to include them)` : ''),
+                5000
+            );
+
+        } catch (error) {
+            if (error.name === 'AbortError') return;
+
+            console.error('Error exporting viewport calendar:', error);
+            this.uiManager.showError('Failed to export calendar. Please try again.');
+        } finally {
+            // A new export may already have started after this one was cancelled
+            if (this.calendarExportController === controller) {
+                this.calendarExportController = null;
+                this.uiManager.setCalendarExportState(null);
+            }
+        }
+    }
+
+    /**
+     * Stop a running viewport calendar export
+     */
+    cancelCalendarExport() {
+        if (this.calendarExportController) {
+            this.calendarExportController.abort();
+            this.calendarExportController = null;
+            this.uiManager.setCalendarExportState(null);
+        }
+    }
+
+    /**
+     * Pick the streets in view for viewport-wide searches: one batched segment (the longest) per OSM way,
+     * longest ways first, capped at CONFIG.nextAlignments.maxStreets
+     * @returns {Object} {streets, skipped} segments to search and the number of ways left out
+     */
+    selectViewportStreets() {
+        const segments = this.streetDataManager.getSegmentsInBounds(this.mapManager.getBounds());
+
+        const longestByWay = new Map();
+        segments.forEach(segment => {
+            const key = segment.osmId || `${segment.start.lat}_${segment.start.lon}`;
+            const length = calculateDistance(segment.start, segment.end);
+            const current = longestByWay.get(key);
+            if (!current || length > current.length) {
+                longestByWay.set(key, { segment, length });
+            }
+        });
+
+        const streets = Array.from(longestByWay.values())
+            .sort((a, b) => b.length - a.length)
+            .slice(0, CONFIG.nextAlignments.maxStreets)
+            .map(({ segment }) => segment);
+
+        return { streets, skipped: longestByWay.size - streets.length };
+    }
+
+    /**
+     * Search the streets in view for their upcoming alignments and list them chronologically
+     */
+    async handleFindNextAlignments() {
+        this.cancelNextAlignments();
+
+        const { streets, skipped } = this.selectViewportStreets();
+        if (streets.length === 0) {
+            this.uiManager.showInfo('No streets in view. Click "Update Map" first.');
+            return;
+        }
+
+        const controller = new AbortController();
+        this.nextAlignmentsController = controller;
+
+        const now = new Date();
+        const events = [];
+        const show = (searched) => this.uiManager.showNextAlignments({
+            events: events.slice(0, CONFIG.nextAlignments.maxResults),
+            searched,
+            total: streets.length,
+            skipped
+        });
+
+        show(0);
+
+        try {
+            for (let i = 0; i < streets.length; i++) {
+                const segment = streets[i];
+                const street = this.getCalendarStreet(segment);
+                const result = await this.handleOptimalDayCalculation(street.bearing, street.lat, street.lng, null, null, controller.signal);
+
+                // Every peak of the range, not just the top few, so the soonest one is never missed
+                result.localMaxima
+                    .filter(day => day.bestAlignment.alignmentScore >= CONFIG.nextAlignments.minAlignmentScore && day.bestAlignment.time >= now)
+                    .forEach(day => {
+                        events.push({
+                            segment,
+                            street,
+                            date: day.date,
+                            time: day.bestAlignment.time,
+                            type: day.bestAlignment.type,
+                            score: day.bestAlignment.alignmentScore,
+                            timeZone: result.timeZone
+                        });
+                    });
+
+                // Results stream in as each street finishes
+                events.sort((a, b) => a.time - b.time);
+                show(i + 1);
+            }
+        } catch (error) {
+            if (error.name === 'AbortError') return;
+
+            console.error('Error finding next alignments:', error);
+            this.uiManager.showError('Failed to search streets in view. Please try again.');
+        } finally {
+            if (this.nextAlignmentsController === controller) {
+                this.nextAlignmentsController = null;
+            }
+        }
+    }
+
+    /**
+     * Stop a running next-alignment search
+     */
+    cancelNextAlignments() {
+        if (this.nextAlignmentsController) {
+            this.nextAlignmentsController.abort();
+            this.nextAlignmentsController = null;
+        }
+    }
+
+    /**
+     * Show an upcoming alignment: zoom to its street and jump to its date and event
+     * @param {Object} event - Event from handleFindNextAlignments
+     */
+    handleSelectNextAlignment(event) {
+        this.mapManager.zoomToSegment(event.segment);
+        this.handleJumpToDate(event.date, event.type === 'sunrise', event.type);
+    }
+
     /**
      * Handle jump to date request
      * @param {Date} date - Target date
      * @param {boolean} isSunrise - True for sunrise, false for sunset
+     * @param {string} [mode] - Event mode (sunrise, sunset, moonrise, moonset)
      */
-    handleJumpToDate(date, isSunrise) {
+    handleJumpToDate(date, isSunrise, mode = null) {
         try {
-            console.log(`Jumping to date: ${date.toDateString()}, ${isSunrise ? 'sunrise' : 'sunset'}`);
+            const eventMode = mode || (isSunrise ? 'sunrise' : 'sunset');
+            console.log(`Jumping to date: ${date.toDateString()}, ${eventMode}`);
+
+            const center = this.mapManager.getCenter();
+            const timeZone = getTimeZone(center.lat, center.lng);
             
-            // Update the UI date/time controls
+            // Update the UI date/time controls with the calendar day at the map location
             this.uiManager.setFormData({
                 date: date,
-                isSunrise: isSunrise
+                mode: eventMode,
+                isSunrise: isSunrise,
+                timeZone: timeZone
             });
             
             // Automatically trigger map update with the new date/time
             const updateData = {
-                date: date,
+                ...this.uiManager.getFormData(),
+                mode: eventMode,
                 isSunrise: isSunrise
             };
             
             this.handleMapUpdate(updateData);
             
-            this.uiManager.showInfo(`Jumped to ${date.toLocaleDateString()} at ${isSunrise ? 'sunrise' : 'sunset'}`);
+            this.uiManager.showInfo(`Jumped to ${updateData.dateValue} at ${eventMode}`);
 
         } catch (error) {
             console.error('Error jumping to date:', error);
@@ -280,7 +988,9 @@ class SunMapApp {
             cache: {
                 streets: this.streetDataManager.getCacheStats(),
                 calculations: this.heatmapManager.getCacheStats(),
-                solar: this.solarCalculator.getCacheStats()
+                solar: this.solarCalculator.getCacheStats(),
+                lunar: this.lunarCalculator.getCacheStats(),
+                terrain: this.terrainManager.getStats()
             }
         };
     }
@@ -1,5 +1,7 @@
-import { calculateStreetAlignment } from '../utils/geometry.js';
+import { calculateStreetAlignment, getSegmentCenter } from '../utils/geometry.js';
 import { calculationCache } from '../utils/cache.js';
+import { CONFIG } from '../utils/constants.js';
+import { getDefaultScoring, getScoringRange, getScoringKey } from '../utils/scoring.js';
 
 /**
  * Heatmap visualization and street alignment calculation
@@ -7,37 +9,91 @@ import { calculationCache } from '../utils/cache.js';
 export class HeatmapManager {
     constructor() {
         this.currentSunAzimuth = null;
+        this.currentSunAltitude = null;
         this.alignmentThreshold = 0.1; // Minimum alignment score to display
+        this.scoring = getDefaultScoring();
     }
 
     /**
      * Calculate alignment scores for street segments
      * @param {Array} segments - Street segments with bearing
      * @param {number} sunAzimuth - Sun azimuth in degrees
+     * @param {number|null} sunAltitude - Sun altitude in degrees, when scoring an exact time of day
      * @returns {Array} Segments with alignment scores
      */
-    calculateAlignmentScores(segments, sunAzimuth) {
+    calculateAlignmentScores(segments, sunAzimuth, sunAltitude = null) {
         this.currentSunAzimuth = sunAzimuth;
+        this.currentSunAltitude = sunAltitude;
         
-        const cacheKey = `alignment_${sunAzimuth.toFixed(4)}`;
-        
-        return segments.map(segment => {
-            const segmentCacheKey = `${cacheKey}_${segment.bearing.toFixed(4)}`;
-            
-            let alignmentScore;
-            if (calculationCache.has(segmentCacheKey)) {
-                alignmentScore = calculationCache.get(segmentCacheKey);
-            } else {
-                alignmentScore = calculateStreetAlignment(segment.bearing, sunAzimuth);
-                calculationCache.set(segmentCacheKey, alignmentScore);
+        return segments.map(segment => this.scoreSegment(segment, sunAzimuth, sunAltitude));
+    }
+
+    /**
+     * Calculate alignment scores using the azimuth at each segment's own location.
+     * Segments are grouped into a fixed grid of tiles and the azimuth is resolved
+     * once per tile centre, so wide views stay accurate at the edges without
+     * recomputing the sun position for every segment.
+     * @param {Array} segments - Street segments with bearing
+     * @param {Function} getPosition - (lat, lng) => {azimuth, altitude} or null when there is no event
+     * @returns {Array} Segments with alignment scores (segments in tiles without an event are dropped)
+     */
+    calculateAlignmentScoresByLocation(segments, getPosition) {
+        this.currentSunAzimuth = null;
+        this.currentSunAltitude = null;
+
+        const tileSize = CONFIG.heatmap.azimuthTileSize;
+        const tilePositions = new Map();
+        const scoredSegments = [];
+
+        segments.forEach(segment => {
+            const center = getSegmentCenter(segment);
+            const tileRow = Math.floor(center.lat / tileSize);
+            const tileCol = Math.floor(center.lng / tileSize);
+            const tileKey = `${tileRow}_${tileCol}`;
+
+            if (!tilePositions.has(tileKey)) {
+                const tileLat = (tileRow + 0.5) * tileSize;
+                const tileLng = (tileCol + 0.5) * tileSize;
+                tilePositions.set(tileKey, getPosition(tileLat, tileLng));
             }
 
-            return {
-                ...segment,
-                alignmentScore,
-                sunAzimuth
-            };
+            const position = tilePositions.get(tileKey);
+            if (!position) return;
+
+            const altitude = position.altitude ?? null;
+            scoredSegments.push(this.scoreSegment(segment, position.azimuth, altitude));
         });
+
+        console.log(`Resolved azimuths for ${tilePositions.size} tiles across ${segments.length} segments`);
+
+        return scoredSegments;
+    }
+
+    /**
+     * Score a single segment against an azimuth
+     * @param {Object} segment - Street segment with bearing
+     * @param {number} sunAzimuth - Azimuth in degrees
+     * @param {number|null} sunAltitude - Altitude in degrees, if known
+     * @returns {Object} Segment with alignment score
+     */
+    scoreSegment(segment, sunAzimuth, sunAltitude = null) {
+        const segmentCacheKey = `alignment_${sunAzimuth.toFixed(4)}_${segment.bearing.toFixed(4)}_${getScoringKey(this.scoring)}`;
+        
+        let alignmentScore;
+        if (calculationCache.has(segmentCacheKey)) {
+            alignmentScore = calculationCache.get(segmentCacheKey);
+        } else {
+            alignmentScore = calculateStreetAlignment(segment.bearing, sunAzimuth, this.scoring);
+            calculationCache.set(segmentCacheKey, alignmentScore);
+        }
+
+        return {
+            ...segment,
+            alignmentScore,
+            sunAzimuth,
+            sunAltitude,
+            sunBelowHorizon: sunAltitude !== null && sunAltitude <= 0
+        };
     }
 
     /**
@@ -56,13 +112,22 @@ export class HeatmapManager {
      * @returns {Object} Statistics
      */
     getAlignmentStats(segments) {
+        const altitudes = segments.map(s => s.sunAltitude).filter(a => a !== null && a !== undefined);
+        const sunAltitude = altitudes.length ?
+            altitudes.reduce((sum, a) => sum + a, 0) / altitudes.length :
+            this.currentSunAltitude;
+        const sunBelowHorizon = sunAltitude !== null && sunAltitude <= 0;
+
         if (!segments.length) {
             return {
                 total: 0,
                 averageScore: 0,
                 perfectAlignments: 0,
                 goodAlignments: 0,
-                poorAlignments: 0
+                poorAlignments: 0,
+                scoring: this.scoring,
+                sunAltitude,
+                sunBelowHorizon
             };
         }
 
@@ -70,9 +135,12 @@ export class HeatmapManager {
         const total = segments.length;
         const averageScore = scores.reduce((sum, score) => sum + score, 0) / total;
         
-        const perfectAlignments = scores.filter(score => score >= 0.9).length;
-        const goodAlignments = scores.filter(score => score >= 0.6 && score < 0.9).length;
-        const poorAlignments = scores.filter(score => score < 0.3).length;
+        // Category thresholds follow the scoring function (see CONFIG.scoring.thresholdAngles)
+        const { perfect, good, poor } = getScoringRange(this.scoring).thresholds;
+        const perfectAlignments = scores.filter(score => score >= perfect).length;
+        const goodAlignments = scores.filter(score => score >= good && score < perfect).length;
+        const poorAlignments = scores.filter(score => score < poor).length;
+        const azimuths = segments.map(s => s.sunAzimuth);
 
         return {
             total,
@@ -82,7 +150,49 @@ export class HeatmapManager {
             poorAlignments,
             percentagePerfect: (perfectAlignments / total) * 100,
             percentageGood: (goodAlignments / total) * 100,
-            percentagePoor: (poorAlignments / total) * 100
+            percentagePoor: (poorAlignments / total) * 100,
+            azimuthRange: { min: Math.min(...azimuths), max: Math.max(...azimuths) },
+            scoring: this.scoring,
+            sunAltitude,
+            sunBelowHorizon
+        };
+    }
+
+    /**
+     * Get statistics for the henge date map
+     * @param {Array} segments - Segments with henge dates {henge: {dateValue, type, score}}
+     * @returns {Object} {total, aligned, sunrise, sunset, monthCounts}; only segments reaching
+     *     CONFIG.hengeMap.minAlignmentScore count as aligned
+     */
+    getHengeStats(segments) {
+        const aligned = segments.filter(s => s.henge && s.henge.score >= CONFIG.hengeMap.minAlignmentScore);
+        const monthCounts = new Array(12).fill(0);
+        aligned.forEach(s => monthCounts[Number(s.henge.dateValue.slice(5, 7)) - 1]++);
+
+        return {
+            total: segments.length,
+            aligned: aligned.length,
+            sunrise: aligned.filter(s => s.henge.type === 'sunrise').length,
+            sunset: aligned.filter(s => s.henge.type === 'sunset').length,
+            monthCounts
+        };
+    }
+
+    /**
+     * Get statistics for the aligned days map
+     * @param {Array} segments - Segments with aligned day counts {alignedDays, alignedDaysThreshold}
+     * @returns {Object} {total, threshold, averageDays, maxDays, neverAligned}
+     */
+    getAlignedDaysStats(segments) {
+        const counts = segments.filter(s => s.alignedDays !== undefined).map(s => s.alignedDays);
+        const total = counts.length;
+
+        return {
+            total,
+            threshold: total ? segments[0].alignedDaysThreshold : CONFIG.alignedDays.minScore,
+            averageDays: total ? counts.reduce((sum, days) => sum + days, 0) / total : 0,
+            maxDays: counts.reduce((max, days) => Math.max(max, days), 0),
+            neverAligned: counts.filter(days => days === 0).length
         };
     }
 
@@ -197,6 +307,14 @@ export class HeatmapManager {
         this.alignmentThreshold = Math.max(0, Math.min(1, threshold));
     }
 
+    /**
+     * Set the scoring function used for alignment scores
+     * @param {Object} scoring - Scoring {type, sigma, tolerance}
+     */
+    setScoring(scoring) {
+        this.scoring = scoring;
+    }
+
     /**
      * Get current alignment threshold
      * @returns {number} Current threshold
@@ -0,0 +1,159 @@
+import SunCalc from 'suncalc';
+import { getZonedMidnight } from '../utils/timezone.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Lunar calculation utilities using SunCalc.js
+ */
+export class LunarCalculator {
+    constructor() {
+        this.cache = new Map();
+    }
+
+    /**
+     * Get moon azimuth at moonrise or moonset for given date and location
+     * @param {Date} date - Any instant within the target day
+     * @param {number} lat - Latitude
+     * @param {number} lng - Longitude
+     * @param {boolean} isMoonrise - True for moonrise, false for moonset
+     * @param {string|null} timeZone - IANA zone whose calendar day is searched (browser zone if null)
+     * @returns {Object|null} {azimuth, time, illumination, phase} or null if the event does not occur that day
+     */
+    getMoonEvent(date, lat, lng, isMoonrise = true, timeZone = null) {
+        const dayStart = timeZone ? getZonedMidnight(date, timeZone) : new Date(date.getFullYear(), date.getMonth(), date.getDate());
+        const cacheKey = `${dayStart.getTime()}_${lat.toFixed(6)}_${lng.toFixed(6)}_${isMoonrise}`;
+
+        if (this.cache.has(cacheKey)) {
+            return this.cache.get(cacheKey);
+        }
+
+        try {
+            const targetTime = this.findMoonTime(dayStart, lat, lng, isMoonrise);
+
+            // The moon skips one rise and one set roughly every lunar month
+            let event = null;
+
+            if (targetTime && !isNaN(targetTime.getTime())) {
+                const position = SunCalc.getMoonPosition(targetTime, lat, lng);
+                const illumination = SunCalc.getMoonIllumination(targetTime);
+
+                event = {
+                    azimuth: this.normalizeAzimuth(position.azimuth),
+                    time: targetTime,
+                    illumination: illumination.fraction,
+                    phase: illumination.phase
+                };
+            }
+
+            this.cache.set(cacheKey, event);
+
+            return event;
+        } catch (error) {
+            console.error('Error calculating moon event:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Find the first moonrise or moonset in the 24 hours after a local midnight.
+     * SunCalc searches whole UTC days, so the two UTC days overlapping the local day are combined.
+     * @param {Date} dayStart - Local midnight
+     * @param {number} lat - Latitude
+     * @param {number} lng - Longitude
+     * @param {boolean} isMoonrise - True for moonrise, false for moonset
+     * @returns {Date|null} Event time
+     */
+    findMoonTime(dayStart, lat, lng, isMoonrise) {
+        const dayEnd = dayStart.getTime() + DAY_MS;
+        const firstUtcDay = new Date(dayStart);
+        firstUtcDay.setUTCHours(0, 0, 0, 0);
+
+        for (let t = firstUtcDay.getTime(); t < dayEnd; t += DAY_MS) {
+            const times = SunCalc.getMoonTimes(new Date(t), lat, lng, true);
+            const candidate = isMoonrise ? times.rise : times.set;
+
+            if (candidate && candidate.getTime() >= dayStart.getTime() && candidate.getTime() < dayEnd) {
+                return candidate;
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Get moon azimuth at moonrise or moonset
+     * @param {Date} date - Target date
+     * @param {number} lat - Latitude
+     * @param {number} lng - Longitude
+     * @param {boolean} isMoonrise - True for moonrise, false for moonset
+     * @param {string|null} timeZone - IANA zone whose calendar day is searched
+     * @returns {number|null} Moon azimuth in degrees (0-360), or null if the event does not occur that day
+     */
+    getMoonAzimuth(date, lat, lng, isMoonrise = true, timeZone = null) {
+        const event = this.getMoonEvent(date, lat, lng, isMoonrise, timeZone);
+        return event ? event.azimuth : null;
+    }
+
+    /**
+     * Get moon illumination for a given instant
+     * @param {Date} date - Target instant
+     * @returns {Object} {illumination, phase, phaseName}
+     */
+    getMoonPhase(date) {
+        const illumination = SunCalc.getMoonIllumination(date);
+        return {
+            illumination: illumination.fraction,
+            phase: illumination.phase,
+            phaseName: this.getPhaseName(illumination.phase)
+        };
+    }
+
+    /**
+     * Get human-readable name for a moon phase
+     * @param {number} phase - SunCalc phase (0 = new, 0.25 = first quarter, 0.5 = full, 0.75 = last quarter)
+     * @returns {string} Phase name
+     */
+    getPhaseName(phase) {
+        const names = [
+            'New Moon', 'Waxing Crescent', 'First Quarter', 'Waxing Gibbous',
+            'Full Moon', 'Waning Gibbous', 'Last Quarter', 'Waning Crescent'
+        ];
+        // Shift by half a bucket so each named phase is centred on its exact value
+        const index = Math.floor(((phase + 1 / 16) % 1) * 8);
+        return names[index];
+    }
+
+    /**
+     * Convert SunCalc azimuth (radians, south-based) to degrees (north-based)
+     * @param {number} azimuth - Azimuth in radians from SunCalc
+     * @returns {number} Azimuth in degrees (0-360, north-based)
+     */
+    normalizeAzimuth(azimuth) {
+        let degrees = azimuth * (180 / Math.PI) + 180;
+
+        // Ensure 0-360 range
+        while (degrees < 0) degrees += 360;
+        while (degrees >= 360) degrees -= 360;
+
+        return degrees;
+    }
+
+    /**
+     * Clear calculation cache
+     */
+    clearCache() {
+        this.cache.clear();
+    }
+
+    /**
+     * Get cache statistics
+     * @returns {Object} Cache stats
+     */
+    getCacheStats() {
+        return {
+            size: this.cache.size,
+            keys: Array.from(this.cache.keys())
+        };
+    }
+}
\ No newline at end of file
@@ -1,6 +1,11 @@
 import L from 'leaflet';
 import { CONFIG } from '../utils/constants.js';
-import { interpolateColorHsl, interpolateOpacityBezier } from '../utils/colors.js';
+import { interpolateColorHsl, interpolateOpacityBezier, getCyclicColor } from '../utils/colors.js';
+import { SUN_EVENT_STATUS } from './solar.js';
+import { formatZonedDate, formatZonedDateRange, formatZonedTime, formatZonedDateValue, getTimeZone, getDateRangeFromToday } from '../utils/timezone.js';
+import { getSegmentCenter } from '../utils/geometry.js';
+import { getStreetCorridor } from '../utils/alignment.js';
+import { getDefaultScoring, getScoringRange } from '../utils/scoring.js';
 
 /**
  * Initialize and manage the Leaflet map
@@ -10,8 +15,23 @@ export class MapManager {
         this.containerId = containerId;
         this.map = null;
         this.streetLayer = null;
+        this.sunPathLayer = null;
+        this.sunPathData = null;
         this.onBoundsChangeCallback = null;
+        this.onMapClickCallback = null;
         this.debounceTimeout = null;
+        this.popupSearches = new Map(); // `${segmentId}_${kind}` -> AbortController of the running search
+        this.highlightLayer = null;
+        this.highlightTimeout = null;
+        this.scoring = getDefaultScoring();
+    }
+
+    /**
+     * Set the scoring function the alignment scores were computed with
+     * @param {Object} scoring - Scoring {type, sigma, tolerance}
+     */
+    setScoring(scoring) {
+        this.scoring = scoring;
     }
 
     /**
@@ -35,6 +55,9 @@ export class MapManager {
         // Initialize street layer group
         this.streetLayer = L.layerGroup().addTo(this.map);
 
+        // Sun path overlay draws on top of streets
+        this.sunPathLayer = L.layerGroup().addTo(this.map);
+
         // Set up event listeners
         this.setupEventListeners();
 
@@ -58,6 +81,20 @@ export class MapManager {
                 }
             }, CONFIG.api.debounceDelay);
         });
+
+        // Clicks on the map (including on streets) pick the sun path location
+        this.map.on('click', (e) => {
+            if (this.onMapClickCallback) {
+                this.onMapClickCallback(e.latlng.lat, e.latlng.lng);
+            }
+        });
+
+        // The overlay has a fixed on-screen size, so redraw it at each zoom level
+        this.map.on('zoomend', () => {
+            if (this.sunPathData) {
+                this.renderSunPath();
+            }
+        });
     }
 
     /**
@@ -82,6 +119,14 @@ export class MapManager {
         this.onBoundsChangeCallback = callback;
     }
 
+    /**
+     * Set map click callback
+     * @param {Function} callback - Called with (lat, lng)
+     */
+    onMapClick(callback) {
+        this.onMapClickCallback = callback;
+    }
+
     /**
      * Clear all street segments from the map
      */
@@ -89,19 +134,54 @@ export class MapManager {
         this.streetLayer.clearLayers();
     }
 
+    /**
+     * Zoom to a street segment and briefly highlight it
+     * @param {Object} segment - Street segment with start/end {lat, lon}
+     */
+    zoomToSegment(segment) {
+        const latLngs = [
+            [segment.start.lat, segment.start.lon],
+            [segment.end.lat, segment.end.lon]
+        ];
+
+        this.map.fitBounds(latLngs, { maxZoom: CONFIG.nextAlignments.zoom, padding: [40, 40], animate: false });
+
+        if (this.highlightLayer) {
+            this.map.removeLayer(this.highlightLayer);
+            clearTimeout(this.highlightTimeout);
+        }
+
+        this.highlightLayer = L.polyline(latLngs, {
+            color: CONFIG.nextAlignments.highlightColor,
+            weight: 10,
+            opacity: 0.6,
+            interactive: false
+        }).addTo(this.map);
+
+        this.highlightTimeout = setTimeout(() => {
+            if (this.highlightLayer) {
+                this.map.removeLayer(this.highlightLayer);
+                this.highlightLayer = null;
+            }
+        }, CONFIG.nextAlignments.highlightDuration);
+    }
+
     /**
      * Add street segments to the map
      * @param {Array} segments - Array of street segments with alignment scores
+     * @param {string} colorMode - 'alignment' (score gradient), 'hengeDay' or 'hengeMonth' (date of best annual alignment),
+     *     or 'alignedDays' (number of aligned days per year)
      */
-    addStreetSegments(segments) {
+    addStreetSegments(segments, colorMode = 'alignment') {
+        const maxAlignedDays = colorMode === 'alignedDays' ? this.getMaxAlignedDays(segments) : 0;
+
         segments.forEach(segment => {
-            // Filter by minimum score threshold
-            if (segment.alignmentScore < CONFIG.gradient.minScore) {
+            const style = this.getSegmentStyle(segment, colorMode, maxAlignedDays);
+            if (!style) {
                 return;
             }
 
-            const color = this.getSegmentColor(segment.alignmentScore);
-            const opacity = this.getSegmentOpacity(segment.alignmentScore);
+            const { color, opacity } = style;
             const weight = this.getSegmentWeight(segment.highway);
             
             const polyline = L.polyline([
@@ -135,25 +215,111 @@ export class MapManager {
      * @returns {string} Hex color
      */
     getSegmentColor(score) {
-        // Normalize score to the configured range
-        const normalizedScore = (score - CONFIG.gradient.minScore) / 
-                               (CONFIG.gradient.maxScore - CONFIG.gradient.minScore);
-        const clampedScore = Math.max(0, Math.min(1, normalizedScore));
-        
         return interpolateColorHsl(
             CONFIG.gradient.lowAlignment,
             CONFIG.gradient.highAlignment,
-            clampedScore
+            this.getNormalizedScore(score)
         );
     }
 
+    /**
+     * Get a score's position in the color range of the current scoring function
+     * @param {number} score - Alignment score (0-1)
+     * @returns {number} Position (0 at the bottom of the range, 1 at the top)
+     */
+    getNormalizedScore(score) {
+        const { minScore, maxScore } = getScoringRange(this.scoring);
+
+        // A hard tolerance window has a single score to show
+        if (maxScore <= minScore) {
+            return score >= maxScore ? 1 : 0;
+        }
+
+        const normalizedScore = (score - minScore) / (maxScore - minScore);
+        return Math.max(0, Math.min(1, normalizedScore));
+    }
+
+    /**
+     * Get the color and opacity of a segment in a coloring mode
+     * @param {Object} segment - Street segment with alignment score, henge date or aligned day count
+     * @param {string} colorMode - Coloring mode (see addStreetSegments)
+     * @param {number} maxAlignedDays - Highest aligned day count in view, the top of the 'alignedDays' scale
+     * @returns {Object|null} {color, opacity}, or null when the segment is not drawn in this mode
+     */
+    getSegmentStyle(segment, colorMode, maxAlignedDays) {
+        if (colorMode === 'hengeDay' || colorMode === 'hengeMonth') {
+            if (!segment.henge || segment.henge.score < CONFIG.hengeMap.minAlignmentScore) {
+                return null;
+            }
+            return { color: this.getHengeColor(segment.henge, colorMode), opacity: CONFIG.hengeMap.opacity };
+        }
+
+        if (colorMode === 'alignedDays') {
+            if (segment.alignedDays === undefined) {
+                return null;
+            }
+            return {
+                color: this.getAlignedDaysColor(segment.alignedDays, maxAlignedDays),
+                opacity: segment.alignedDays > 0 ? 1 : CONFIG.alignedDays.zeroOpacity
+            };
+        }
+
+        // Filter by minimum score threshold
+        if (segment.alignmentScore < getScoringRange(this.scoring).minScore) {
+            return null;
+        }
+        return {
+            color: this.getSegmentColor(segment.alignmentScore),
+            opacity: this.getSegmentOpacity(segment.alignmentScore)
+        };
+    }
+
+    /**
+     * Get the highest aligned day count among segments
+     * @param {Array} segments - Segments with aligned day counts
+     * @returns {number} Highest count (0 when none line up)
+     */
+    getMaxAlignedDays(segments) {
+        return segments.reduce((max, segment) => Math.max(max, segment.alignedDays || 0), 0);
+    }
+
+    /**
+     * Get color for a segment's aligned day count on the alignment gradient
+     * @param {number} days - Aligned days per year
+     * @param {number} maxDays - Count mapped to the top of the gradient
+     * @returns {string} Hex color
+     */
+    getAlignedDaysColor(days, maxDays) {
+        const fraction = maxDays > 0 ? days / maxDays : 0;
+        return interpolateColorHsl(CONFIG.gradient.lowAlignment, CONFIG.gradient.highAlignment, fraction);
+    }
+
+    /**
+     * Get color for a segment's henge date on the cyclic day-of-year ramp
+     * @param {Object} henge - Henge date {dateValue, dayOfYear}
+     * @param {string} colorMode - 'hengeDay' for a smooth ramp, 'hengeMonth' for one color per month
+     * @returns {string} Hex color
+     */
+    getHengeColor(henge, colorMode) {
+        const fraction = colorMode === 'hengeMonth' ?
+            (Number(henge.dateValue.slice(5, 7)) - 0.5) / 12 :
+            (henge.dayOfYear - 1) / 365;
+
+        return getCyclicColor(fraction, CONFIG.hengeMap.saturation, CONFIG.hengeMap.lightness);
+    }
+
     /**
      * Get opacity for segment based on alignment score using bezier curve
      * @param {number} score - Alignment score (0-1)
      * @returns {number} Opacity (0-1)
      */
     getSegmentOpacity(score) {
-        return interpolateOpacityBezier(score, CONFIG.gradient.opacityBezier);
+        // The curve is drawn over linear scores; place other functions' scores by their position in the range
+        const linearMin = 1 - CONFIG.gradient.minAngle / 90;
+        const linearMax = 1 - CONFIG.gradient.maxAngle / 90;
+        const linearScore = linearMin + this.getNormalizedScore(score) * (linearMax - linearMin);
+
+        return interpolateOpacityBezier(linearScore, CONFIG.gradient.opacityBezier);
     }
 
     /**
@@ -198,6 +364,217 @@ export class MapManager {
         this.map.setView([lat, lng], zoomLevel);
     }
 
+    /**
+     * Fit the map view to bounds (never zooming out past the minimum zoom)
+     * @param {Object} bounds - {north, south, east, west}
+     */
+    fitBounds(bounds) {
+        this.map.fitBounds([[bounds.south, bounds.west], [bounds.north, bounds.east]], { padding: [20, 20], animate: false });
+    }
+
+    /**
+     * Show the sun path overlay around a location
+     * @param {number} lat - Latitude
+     * @param {number} lng - Longitude
+     * @param {Object} path - Sun path for the selected date (SolarCalculator.getSunPath)
+     * @param {Object} solstices - {june, december} sun paths (SolarCalculator.getSolsticePaths)
+     * @param {string} timeZone - IANA zone of the location
+     */
+    showSunPath(lat, lng, path, solstices, timeZone) {
+        this.sunPathData = { lat, lng, path, solstices, timeZone };
+        this.renderSunPath();
+    }
+
+    /**
+     * Remove the sun path overlay
+     */
+    clearSunPath() {
+        this.sunPathData = null;
+        this.sunPathLayer.clearLayers();
+    }
+
+    /**
+     * Get the location of the sun path overlay
+     * @returns {Object|null} {lat, lng} or null when no overlay is shown
+     */
+    getSunPathLocation() {
+        return this.sunPathData ? { lat: this.sunPathData.lat, lng: this.sunPathData.lng } : null;
+    }
+
+    /**
+     * Draw the sun path overlay: a horizon circle with the zenith at the clicked point,
+     * solstice envelopes, the selected day's arc, hourly ticks and sunrise/sunset rays
+     */
+    renderSunPath() {
+        this.sunPathLayer.clearLayers();
+
+        const { lat, lng, path, solstices, timeZone } = this.sunPathData;
+        const center = this.map.latLngToLayerPoint([lat, lng]);
+        const { color, solsticeColor, radiusPixels } = CONFIG.sunPath;
+
+        // Horizon (circleMarker radius is in pixels, matching the projection below)
+        this.sunPathLayer.addLayer(L.circleMarker([lat, lng], {
+            radius: radiusPixels,
+            color: solsticeColor,
+            weight: 1,
+            dashArray: '2 4',
+            fill: false,
+            interactive: false
+        }));
+
+        // Solstice envelopes
+        [solstices.june, solstices.december].forEach(solsticePath => {
+            this.addSunPathArcs(center, solsticePath, { color: solsticeColor, weight: 2, dashArray: '6 6' });
+            [solsticePath.sunrise, solsticePath.sunset].filter(Boolean).forEach(event => {
+                this.addSunPathRay(center, lat, lng, event.azimuth, { color: solsticeColor, weight: 1, dashArray: '4 4' });
+            });
+        });
+
+        // Selected day
+        this.addSunPathArcs(center, path, { color, weight: 3 });
+
+        [['Sunrise', path.sunrise], ['Sunset', path.sunset]].forEach(([label, event]) => {
+            if (!event) return;
+            const ray = this.addSunPathRay(center, lat, lng, event.azimuth, { color, weight: 3 });
+            ray.bindTooltip(`${label} ${formatZonedTime(event.time, timeZone)} • ${event.azimuth.toFixed(1)}°`);
+        });
+
+        path.hourly.filter(point => point.altitude >= 0).forEach(point => {
+            const tick = L.circleMarker(this.projectSunPosition(center, point.azimuth, point.altitude), {
+                radius: 3,
+                color,
+                weight: 1,
+                fillColor: '#fff',
+                fillOpacity: 1,
+                bubblingMouseEvents: false
+            });
+            tick.bindTooltip(`${formatZonedTime(point.time, timeZone)} • az ${point.azimuth.toFixed(1)}°, alt ${point.altitude.toFixed(1)}°`);
+            this.sunPathLayer.addLayer(tick);
+        });
+
+        // Observer marker with a summary of which directions can line up
+        const marker = L.circleMarker([lat, lng], {
+            radius: 5,
+            color,
+            fillColor: color,
+            fillOpacity: 1,
+            bubblingMouseEvents: false
+        });
+        marker.bindPopup(this.createSunPathSummaryHTML(path, solstices, timeZone));
+        this.sunPathLayer.addLayer(marker);
+    }
+
+    /**
+     * Add the above-horizon parts of a sun path as polylines
+     * @param {Object} center - Layer point of the observer
+     * @param {Object} path - Sun path
+     * @param {Object} style - Leaflet path options
+     */
+    addSunPathArcs(center, path, style) {
+        let run = [];
+        const flush = () => {
+            if (run.length > 1) {
+                this.sunPathLayer.addLayer(L.polyline(run, { ...style, interactive: false }));
+            }
+            run = [];
+        };
+
+        path.points.forEach((point, index) => {
+            const previous = path.points[index - 1];
+
+            // Close the gap to the horizon where the sun rises or sets between samples
+            if (previous && (previous.altitude >= 0) !== (point.altitude >= 0)) {
+                const crossing = this.interpolateHorizonCrossing(previous, point);
+                run.push(this.projectSunPosition(center, crossing, 0));
+                if (point.altitude < 0) flush();
+            }
+
+            if (point.altitude >= 0) {
+                run.push(this.projectSunPosition(center, point.azimuth, point.altitude));
+            }
+        });
+
+        flush();
+    }
+
+    /**
+     * Add a ray from the observer to the horizon
+     * @param {Object} center - Layer point of the observer
+     * @param {number} lat - Observer latitude
+     * @param {number} lng - Observer longitude
+     * @param {number} azimuth - Ray azimuth in degrees
+     * @param {Object} style - Leaflet path options
+     * @returns {Object} Leaflet polyline
+     */
+    addSunPathRay(center, lat, lng, azimuth, style) {
+        const ray = L.polyline([[lat, lng], this.projectSunPosition(center, azimuth, 0)], {
+            ...style,
+            bubblingMouseEvents: false
+        });
+        this.sunPathLayer.addLayer(ray);
+        return ray;
+    }
+
+    /**
+     * Estimate the azimuth where the sun crosses the horizon between two samples
+     * @param {Object} a - Sample {azimuth, altitude}
+     * @param {Object} b - Next sample {azimuth, altitude}
+     * @returns {number} Azimuth in degrees
+     */
+    interpolateHorizonCrossing(a, b) {
+        const fraction = a.altitude / (a.altitude - b.altitude);
+        const delta = ((b.azimuth - a.azimuth + 540) % 360) - 180;
+        return (a.azimuth + delta * fraction + 360) % 360;
+    }
+
+    /**
+     * Project a sky position onto the map around the observer (zenith at the centre, horizon on the circle)
+     * @param {Object} center - Layer point of the observer
+     * @param {number} azimuth - Azimuth in degrees (north-based)
+     * @param {number} altitude - Altitude in degrees
+     * @returns {Object} Leaflet LatLng
+     */
+    projectSunPosition(center, azimuth, altitude) {
+        const radius = CONFIG.sunPath.radiusPixels * (1 - Math.max(altitude, 0) / 90);
+        const azimuthRad = azimuth * (Math.PI / 180);
+        const point = L.point(center.x + radius * Math.sin(azimuthRad), center.y - radius * Math.cos(azimuthRad));
+        return this.map.layerPointToLatLng(point);
+    }
+
+    /**
+     * Create sun path summary popup HTML
+     * @param {Object} path - Sun path for the selected date
+     * @param {Object} solstices - {june, december} sun paths
+     * @param {string} timeZone - IANA zone of the location
+     * @returns {string} HTML content
+     */
+    createSunPathSummaryHTML(path, solstices, timeZone) {
+        const eventLine = (label, event) => event ?
+            `${label}: ${formatZonedTime(event.time, timeZone)} • ${event.azimuth.toFixed(1)}°` :
+            `${label}: none`;
+
+        const rangeLine = (label, events) => {
+            const azimuths = events.filter(Boolean).map(event => event.azimuth);
+            if (azimuths.length < 2) {
+                return `${label} azimuths through the year: n/a (no ${label.toLowerCase()} on a solstice)`;
+            }
+            return `${label} azimuths through the year: ${Math.min(...azimuths).toFixed(1)}°–${Math.max(...azimuths).toFixed(1)}°`;
+        };
+
+        return `
+            <div class="sun-path-summary">
+                <strong>Sun path • ${formatZonedDate(path.date, timeZone, 'long')}</strong><br>
+                ${eventLine('Sunrise', path.sunrise)}<br>
+                ${eventLine('Sunset', path.sunset)}<br>
+                <div class="sun-path-range">
+                    ${rangeLine('Sunrise', [solstices.june.sunrise, solstices.december.sunrise])}<br>
+                    ${rangeLine('Sunset', [solstices.june.sunset, solstices.december.sunset])}
+                </div>
+                <div class="sun-path-hint">Streets pointing within these ranges can line up with the sun on some day. Dashed: solstices.</div>
+            </div>
+        `;
+    }
+
     /**
      * Create popup content HTML for street segment
      * @param {Object} segment - Street segment data
@@ -205,6 +582,10 @@ export class MapManager {
      */
     createPopupContent(segment) {
         const segmentId = `segment_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+
+        // Default search range: the next 12 months in the street's own time zone
+        const center = getSegmentCenter(segment);
+        const range = getDateRangeFromToday(getTimeZone(center.lat, center.lng));
         
         return `
             <div class="street-popup" data-segment-id="${segmentId}">
@@ -213,8 +594,18 @@ export class MapManager {
                     Type: ${segment.highway || 'unknown'}<br>
                     Bearing: ${segment.bearing.toFixed(2)}°<br>
                     Alignment: ${(segment.alignmentScore * 100).toFixed(2)}%<br>
+                    Azimuth used: ${segment.sunAzimuth.toFixed(2)}°<br>
+                    ${this.createSunAltitudeLine(segment)}
+                    ${this.createHengeLine(segment)}
+                    ${this.createAlignedDaysLine(segment)}
                     Length: ${segment.length ? segment.length.toFixed(0) + 'm' : 'N/A'}
                 </div>
+                <div id="optimal-day-range-${segmentId}" class="optimal-day-range">
+                    <input type="date" class="range-start" value="${range.startDate}" />
+                    <span>to</span>
+                    <input type="date" class="range-end" value="${range.endDate}" />
+                    <button class="range-search-btn small">Search</button>
+                </div>
                 <div id="optimal-day-loading-${segmentId}" class="optimal-day-loading" style="display: block;">
                     <div class="loading-spinner"></div>
                     <span class="loading-text">Finding optimal days...</span>
@@ -225,10 +616,61 @@ export class MapManager {
                 <div id="optimal-day-results-${segmentId}" class="optimal-day-results" style="display: none;">
                     <!-- Results will be populated here -->
                 </div>
+                <div id="moon-alignment-${segmentId}" class="moon-alignment">
+                    <button class="moon-search-btn small">Find bright moon alignments</button>
+                    <div class="moon-alignment-results" style="display: none;">
+                        <!-- Moon results will be populated here -->
+                    </div>
+                </div>
             </div>
         `;
     }
 
+    /**
+     * Create popup line for sun altitude in time of day mode
+     * @param {Object} segment - Street segment data
+     * @returns {string} HTML content (empty outside time of day mode)
+     */
+    createSunAltitudeLine(segment) {
+        if (segment.sunAltitude === null || segment.sunAltitude === undefined) {
+            return '';
+        }
+
+        const belowHorizon = segment.sunBelowHorizon ? ' (below horizon)' : '';
+        return `Sun altitude: ${segment.sunAltitude.toFixed(2)}°${belowHorizon}<br>`;
+    }
+
+    /**
+     * Create popup line for the henge date in the seasonal coloring modes
+     * @param {Object} segment - Street segment data
+     * @returns {string} HTML content (empty without a henge date)
+     */
+    createHengeLine(segment) {
+        if (!segment.henge) {
+            return '';
+        }
+
+        const { date, type, score } = segment.henge;
+        const center = getSegmentCenter(segment);
+        const label = type === 'sunrise' ? 'sunrise' : 'sunset';
+
+        return `Henge date: ${formatZonedDate(date, getTimeZone(center.lat, center.lng))} ${label} (${(score * 100).toFixed(2)}%)<br>`;
+    }
+
+    /**
+     * Create popup line for the aligned day count in the aligned days mode
+     * @param {Object} segment - Street segment data
+     * @returns {string} HTML content (empty without a count)
+     */
+    createAlignedDaysLine(segment) {
+        if (segment.alignedDays === undefined) {
+            return '';
+        }
+
+        const plural = segment.alignedDays === 1 ? '' : 's';
+        return `Aligned days: ${segment.alignedDays} day${plural} per year (≥${(segment.alignedDaysThreshold * 100).toFixed(0)}%)<br>`;
+    }
+
     /**
      * Handle popup opening and automatically start optimal day calculation
      * @param {Object} segment - Street segment data
@@ -252,10 +694,93 @@ export class MapManager {
         const segmentId = streetPopup.dataset.segmentId;
         console.log('Segment ID:', segmentId);
         
+        // Moon alignments are searched on demand
+        const moonSearchBtn = streetPopup.querySelector('.moon-search-btn');
+        if (moonSearchBtn) {
+            moonSearchBtn.addEventListener('click', (e) => {
+                e.preventDefault();
+                e.stopPropagation();
+                this.calculateMoonAlignmentsForSegment(segment, segmentId, popup);
+            });
+        }
+
+        // Re-run both searches for a different date range
+        const rangeSearchBtn = streetPopup.querySelector('.range-search-btn');
+        if (rangeSearchBtn) {
+            rangeSearchBtn.addEventListener('click', (e) => {
+                e.preventDefault();
+                e.stopPropagation();
+                this.calculateOptimalDaysForSegment(segment, segmentId, popup);
+
+                const moonResults = streetPopup.querySelector('.moon-alignment-results');
+                if (moonResults && moonResults.style.display !== 'none') {
+                    this.calculateMoonAlignmentsForSegment(segment, segmentId, popup);
+                }
+            });
+        }
+
         // Automatically start optimal day calculation
         this.calculateOptimalDaysForSegment(segment, segmentId, popup);
     }
 
+    /**
+     * Start a popup search, cancelling the previous one of the same kind.
+     * The search is also cancelled when the popup closes.
+     * @param {Object} popup - Leaflet popup instance
+     * @param {string} segmentId - Unique segment identifier
+     * @param {string} kind - Search kind ('sun' or 'moon')
+     * @returns {AbortController} Controller for the new search
+     */
+    startPopupSearch(popup, segmentId, kind) {
+        const key = `${segmentId}_${kind}`;
+        this.cancelPopupSearch(key);
+
+        const controller = new AbortController();
+        this.popupSearches.set(key, controller);
+        popup.once('remove', () => this.cancelPopupSearch(key));
+
+        return controller;
+    }
+
+    /**
+     * Cancel a running popup search
+     * @param {string} key - Search key (`${segmentId}_${kind}`)
+     */
+    cancelPopupSearch(key) {
+        const controller = this.popupSearches.get(key);
+        if (controller) {
+            controller.abort();
+            this.popupSearches.delete(key);
+        }
+    }
+
+    /**
+     * Forget a finished popup search
+     * @param {string} key - Search key (`${segmentId}_${kind}`)
+     * @param {AbortController} controller - Controller of the finished search
+     */
+    finishPopupSearch(key, controller) {
+        if (this.popupSearches.get(key) === controller) {
+            this.popupSearches.delete(key);
+        }
+    }
+
+    /**
+     * Read the search range chosen in a segment popup
+     * @param {Object} popup - Leaflet popup instance
+     * @param {string} segmentId - Unique segment identifier
+     * @returns {Object|null} {startDate, endDate} date strings, or null to use the default range
+     */
+    getPopupSearchRange(popup, segmentId) {
+        const rangeElement = popup.getElement().querySelector(`#optimal-day-range-${segmentId}`);
+        if (!rangeElement) return null;
+
+        const startDate = rangeElement.querySelector('.range-start').value;
+        const endDate = rangeElement.querySelector('.range-end').value;
+
+        return startDate && endDate ? { startDate, endDate } : null;
+    }
+
     /**
      * Calculate optimal days for a street segment automatically
      * @param {Object} segment - Street segment data
@@ -275,7 +800,8 @@ export class MapManager {
         const loadingElement = popup.getElement().querySelector(`#optimal-day-loading-${segmentId}`);
         const resultsElement = popup.getElement().querySelector(`#optimal-day-results-${segmentId}`);
         
-        // Loading is already shown, just make sure results are hidden
+        // Show loading (again, for a new range) and hide previous results
+        if (loadingElement) loadingElement.style.display = 'block';
         if (resultsElement) resultsElement.style.display = 'none';
 
         // Update progress
@@ -285,18 +811,23 @@ export class MapManager {
                 progressBar.style.width = `${progress}%`;
             }
         };
+        updateProgress(0);
+
+        const controller = this.startPopupSearch(popup, segmentId, 'sun');
 
         try {
             // Calculate segment center for location
             const centerLat = (segment.start.lat + segment.end.lat) / 2;
             const centerLng = (segment.start.lon + segment.end.lon) / 2;
 
-            // Call the optimal day calculation callback
+            // Call the optimal day calculation callback; the street's corridor turns on alignment windows
             const result = await this.onOptimalDayCalculation(
                 segment.bearing, 
                 centerLat, 
                 centerLng, 
-                updateProgress
+                updateProgress,
+                { ...this.getPopupSearchRange(popup, segmentId), corridor: getStreetCorridor(segment) },
+                controller.signal
             );
 
             // Hide loading and show results
@@ -307,27 +838,161 @@ export class MapManager {
                 
                 // Set up result handlers
                 this.setupOptimalDayResultHandlers(result, resultsElement);
+                this.setupAlignmentChartHandlers(result, resultsElement);
+                this.setupCalendarExportHandler(segment, result, resultsElement);
             }
 
         } catch (error) {
+            // Closed popup or superseded search: nothing to show
+            if (error.name === 'AbortError') return;
+
             console.error('Error calculating optimal day:', error);
             
-            // Show error state
+            // Show error state; range problems get their own message
+            const message = error instanceof RangeError ?
+                error.message :
+                'Could not calculate optimal day. Please try again.';
+
             if (loadingElement) loadingElement.style.display = 'none';
             if (resultsElement) {
                 resultsElement.innerHTML = `
                     <div class="optimal-day-error">
                         <strong>Error</strong><br>
-                        Could not calculate optimal day. Please try again.
+                        ${message}
                     </div>
                 `;
                 resultsElement.style.display = 'block';
             }
         } finally {
-            // No button to re-enable since we removed it
+            this.finishPopupSearch(`${segmentId}_sun`, controller);
+        }
+    }
+
+    /**
+     * Search for bright moon alignments for a street segment
+     * @param {Object} segment - Street segment data
+     * @param {string} segmentId - Unique segment identifier
+     * @param {Object} popup - Leaflet popup instance
+     */
+    async calculateMoonAlignmentsForSegment(segment, segmentId, popup) {
+        if (!this.onMoonAlignmentCalculation) {
+            console.error('No moon alignment calculation callback set');
+            return;
+        }
+
+        const container = popup.getElement().querySelector(`#moon-alignment-${segmentId}`);
+        if (!container) return;
+
+        const button = container.querySelector('.moon-search-btn');
+        const resultsElement = container.querySelector('.moon-alignment-results');
+
+        button.style.display = '';
+        button.disabled = true;
+        button.textContent = 'Searching moon alignments... 0%';
+        resultsElement.style.display = 'none';
+
+        const updateProgress = (progress) => {
+            button.textContent = `Searching moon alignments... ${Math.round(progress)}%`;
+        };
+
+        const controller = this.startPopupSearch(popup, segmentId, 'moon');
+
+        try {
+            const centerLat = (segment.start.lat + segment.end.lat) / 2;
+            const centerLng = (segment.start.lon + segment.end.lon) / 2;
+
+            const result = await this.onMoonAlignmentCalculation(
+                segment.bearing,
+                centerLat,
+                centerLng,
+                updateProgress,
+                this.getPopupSearchRange(popup, segmentId),
+                controller.signal
+            );
+
+            button.style.display = 'none';
+            resultsElement.innerHTML = this.createMoonAlignmentResultsHTML(result);
+            resultsElement.style.display = 'block';
+
+            this.setupOptimalDayResultHandlers(result, resultsElement);
+
+        } catch (error) {
+            if (error.name === 'AbortError') return;
+
+            console.error('Error calculating moon alignments:', error);
+
+            const message = error instanceof RangeError ?
+                error.message :
+                'Could not calculate moon alignments. Please try again.';
+
+            button.disabled = false;
+            button.textContent = 'Find bright moon alignments';
+            resultsElement.innerHTML = `
+                <div class="optimal-day-error">
+                    <strong>Error</strong><br>
+                    ${message}
+                </div>
+            `;
+            resultsElement.style.display = 'block';
+        } finally {
+            this.finishPopupSearch(`${segmentId}_moon`, controller);
         }
     }
 
+    /**
+     * Create HTML for bright moon alignment results
+     * @param {Object} result - Moon alignment calculation result
+     * @returns {string} HTML content
+     */
+    createMoonAlignmentResultsHTML(result) {
+        const minIllumination = (result.searchParams.minIllumination * 100).toFixed(0);
+
+        if (!result.topDays || result.topDays.length === 0) {
+            return `
+                <div class="optimal-day-no-results">
+                    <strong>No Bright Moon Alignments</strong><br>
+                    No moonrise or moonset above ${minIllumination}% illumination lines up with this street.
+                </div>
+            `;
+        }
+
+        let html = `
+            <div class="optimal-day-success">
+                <strong>Bright Moon Alignments (≥ ${minIllumination}% lit)</strong><br>
+                <div class="optimal-days-list">
+        `;
+
+        result.topDays.forEach((day, index) => {
+            const formattedDate = formatZonedDate(day.date, result.timeZone || undefined);
+
+            const alignment = day.bestAlignment;
+            const alignmentScore = (alignment.alignmentScore * 100).toFixed(2);
+            const illumination = (alignment.illumination * 100).toFixed(0);
+
+            html += `
+                <div class="optimal-day-item moon-day ${index === 0 ? 'best-day' : ''}">
+                    <div class="optimal-day-header">
+                        <strong>${index + 1}. ${formattedDate}</strong>
+                        <span class="alignment-score">${alignmentScore}%</span>
+                    </div>
+                    <div class="optimal-day-details">
+                        <span class="time-info">${alignment.type} ${formatZonedTime(alignment.time, result.timeZone || undefined)} • ${alignment.moonAzimuth.toFixed(2)}° • ${illumination}% lit</span>
+                        <button class="jump-to-date-btn small" data-date="${day.date.toISOString()}" data-sunrise="false" data-mode="${alignment.type}">
+                            Jump
+                        </button>
+                    </div>
+                </div>
+            `;
+        });
+
+        html += `
+                </div>
+            </div>
+        `;
+
+        return html;
+    }
+
     /**
      * Create HTML for optimal day results
      * @param {Object} result - Optimal day calculation result
@@ -335,12 +1000,17 @@ export class MapManager {
      * @returns {string} HTML content
      */
     createOptimalDayResultsHTML(result, segment) {
+        const polarNote = this.createPolarDaysNote(result.polarDays);
+        const chart = this.createAlignmentChartHTML(result) + this.createAlignmentWindowsHTML(result);
+
         if (!result.topDays || result.topDays.length === 0) {
             return `
                 <div class="optimal-day-no-results">
                     <strong>No Optimal Days Found</strong><br>
                     No local maxima with good solar alignment were found for this street.
                 </div>
+                ${chart}
+                ${polarNote}
             `;
         }
 
@@ -348,16 +1018,13 @@ export class MapManager {
         let html = `
             <div class="optimal-day-success">
                 <strong>Found ${totalMaxima} Optimal Days (Local Maxima)</strong><br>
+                ${chart}
                 <div class="optimal-days-list">
         `;
 
         // Show top 5 local maxima
         result.topDays.slice(0, 5).forEach((day, index) => {
-            const formattedDate = day.date.toLocaleDateString([], {
-                year: 'numeric',
-                month: 'short',
-                day: 'numeric'
-            });
+            const formattedDate = formatZonedDate(day.date, result.timeZone || undefined);
             
             const alignmentScore = (day.bestAlignment.alignmentScore * 100).toFixed(2);
             const sunTime = day.bestAlignment.type;
@@ -369,23 +1036,259 @@ export class MapManager {
                         <span class="alignment-score">${alignmentScore}%</span>
                     </div>
                     <div class="optimal-day-details">
-                        <span class="time-info">${sunTime} • ${day.bestAlignment.sunAzimuth.toFixed(2)}°</span>
-                        <button class="jump-to-date-btn small" data-date="${day.date.toISOString()}" data-sunrise="${sunTime === 'sunrise'}">
+                        <span class="time-info">${sunTime} ${formatZonedTime(day.bestAlignment.time, result.timeZone || undefined)} • ${day.bestAlignment.sunAzimuth.toFixed(2)}° • ${day.bestAlignment.residualAngle.toFixed(2)}° off</span>
+                        <button class="jump-to-date-btn small" data-date="${day.date.toISOString()}" data-sunrise="${sunTime === 'sunrise'}" data-mode="${sunTime}">
                             Jump
                         </button>
                     </div>
+                    ${this.createRefinedPeakHTML(day.refined, result.timeZone || undefined)}
                 </div>
             `;
         });
 
         html += `
                 </div>
+                <button class="export-ics-btn small">Add to calendar (.ics)</button>
             </div>
+            ${polarNote}
         `;
 
         return html;
     }
 
+    /**
+     * Get the drawing scale of the yearly alignment chart
+     * @param {number} count - Number of days in the series
+     * @returns {Object} {x(index), y(score), plotBottom} in SVG viewBox units
+     */
+    getAlignmentChartScale(count) {
+        const { width, height } = CONFIG.alignmentChart;
+        const plotTop = 4;
+        const plotBottom = height - 12; // room for month labels
+
+        return {
+            x: (index) => (count > 1 ? (index / (count - 1)) * width : width / 2),
+            y: (score) => plotTop + (1 - Math.max(0, Math.min(1, score))) * (plotBottom - plotTop),
+            plotBottom
+        };
+    }
+
+    /**
+     * Create the yearly sunrise/sunset alignment chart as inline SVG
+     * @param {Object} result - Optimal day calculation result with a daily series
+     * @returns {string} HTML content (empty without a series)
+     */
+    createAlignmentChartHTML(result) {
+        const series = result.series;
+        if (!series || series.length < 2) return '';
+
+        const { width, height, sunriseColor, sunsetColor, todayColor } = CONFIG.alignmentChart;
+        const { x, y, plotBottom } = this.getAlignmentChartScale(series.length);
+        const colors = { sunrise: sunriseColor, sunset: sunsetColor };
+
+        // One path per event, lifting the pen over days without that event
+        const paths = ['sunrise', 'sunset'].map(type => {
+            let d = '';
+            let penDown = false;
+            series.forEach((point, index) => {
+                if (point[type] === null) {
+                    penDown = false;
+                    return;
+                }
+                d += `${penDown ? 'L' : 'M'}${x(index).toFixed(1)} ${y(point[type]).toFixed(1)}`;
+                penDown = true;
+            });
+            return d ? `<path d="${d}" fill="none" stroke="${colors[type]}" stroke-width="1.2" />` : '';
+        }).join('');
+
+        const maxima = series.map((point, index) => point.peak && point[point.peak] !== null ?
+            `<circle cx="${x(index).toFixed(1)}" cy="${y(point[point.peak]).toFixed(1)}" r="2.5" fill="${colors[point.peak]}" stroke="white" stroke-width="0.8" />` :
+            ''
+        ).join('');
+
+        // Month labels (quarterly for long ranges)
+        const monthStep = series.length > 400 ? 3 : 1;
+        const months = series.map((point, index) => {
+            const [year, month, day] = point.dateValue.split('-').map(Number);
+            if (day !== 1 || (month - 1) % monthStep !== 0) return '';
+
+            const label = new Date(Date.UTC(year, month - 1, 1)).toLocaleDateString([], { month: 'short', timeZone: 'UTC' });
+            return `
+                <line x1="${x(index).toFixed(1)}" y1="${plotBottom}" x2="${x(index).toFixed(1)}" y2="${plotBottom + 3}" stroke="#adb5bd" stroke-width="0.6" />
+                <text x="${x(index).toFixed(1)}" y="${height - 1}" font-size="7" fill="#6c757d">${label}</text>
+            `;
+        }).join('');
+
+        const todayValue = formatZonedDateValue(new Date(), result.timeZone || Intl.DateTimeFormat().resolvedOptions().timeZone);
+        const todayIndex = series.findIndex(point => point.dateValue === todayValue);
+        const today = todayIndex >= 0 ?
+            `<line x1="${x(todayIndex).toFixed(1)}" y1="0" x2="${x(todayIndex).toFixed(1)}" y2="${plotBottom}" stroke="${todayColor}" stroke-width="0.8" stroke-dasharray="2 2" />` :
+            '';
+
+        return `
+            <div class="alignment-chart">
+                <svg viewBox="0 0 ${width} ${height}" width="100%" role="img" aria-label="Daily sunrise and sunset alignment scores">
+                    <line x1="0" y1="${y(1)}" x2="${width}" y2="${y(1)}" stroke="#e9ecef" stroke-width="0.6" />
+                    <line x1="0" y1="${y(0.5)}" x2="${width}" y2="${y(0.5)}" stroke="#e9ecef" stroke-width="0.6" />
+                    <line x1="0" y1="${plotBottom}" x2="${width}" y2="${plotBottom}" stroke="#adb5bd" stroke-width="0.6" />
+                    ${months}
+                    ${today}
+                    ${paths}
+                    ${maxima}
+                    <line class="alignment-chart-cursor" x1="0" y1="0" x2="0" y2="${plotBottom}" stroke="#495057" stroke-width="0.6" visibility="hidden" />
+                    <rect class="alignment-chart-hit" x="0" y="0" width="${width}" height="${height}" fill="transparent" />
+                </svg>
+                <div class="alignment-chart-tooltip" style="display: none;"></div>
+                <div class="alignment-chart-legend">
+                    <span style="color: ${sunriseColor};">━ Sunrise</span>
+                    <span style="color: ${sunsetColor};">━ Sunset</span>
+                    ${today ? `<span style="color: ${todayColor};">┆ Today</span>` : ''}
+                </div>
+            </div>
+        `;
+    }
+
+    /**
+     * Set up hover tooltip and click-to-jump on the yearly alignment chart
+     * @param {Object} result - Optimal day calculation result with a daily series
+     * @param {HTMLElement} resultsElement - Results container element
+     */
+    setupAlignmentChartHandlers(result, resultsElement) {
+        const chart = resultsElement.querySelector('.alignment-chart');
+        if (!chart) return;
+
+        const series = result.series;
+        const svg = chart.querySelector('svg');
+        const hitArea = chart.querySelector('.alignment-chart-hit');
+        const cursor = chart.querySelector('.alignment-chart-cursor');
+        const tooltip = chart.querySelector('.alignment-chart-tooltip');
+        const { x, y } = this.getAlignmentChartScale(series.length);
+        const timeZone = result.timeZone || undefined;
+
+        // Day under the pointer and the pointer height in viewBox units
+        const locate = (event) => {
+            const rect = svg.getBoundingClientRect();
+            const ratio = Math.max(0, Math.min(1, (event.clientX - rect.left) / rect.width));
+            return {
+                index: Math.round(ratio * (series.length - 1)),
+                ratio,
+                height: ((event.clientY - rect.top) / rect.height) * CONFIG.alignmentChart.height
+            };
+        };
+
+        const formatScore = (score) => (score === null ? 'none' : `${(score * 100).toFixed(1)}%`);
+
+        hitArea.addEventListener('mousemove', (event) => {
+            const { index, ratio } = locate(event);
+            const point = series[index];
+
+            cursor.setAttribute('x1', x(index));
+            cursor.setAttribute('x2', x(index));
+            cursor.setAttribute('visibility', 'visible');
+
+            tooltip.textContent = `${formatZonedDate(point.date, timeZone)} • Sunrise ${formatScore(point.sunrise)} • Sunset ${formatScore(point.sunset)}`;
+            tooltip.style.left = `${Math.min(ratio, 0.6) * 100}%`;
+            tooltip.style.display = 'block';
+        });
+
+        hitArea.addEventListener('mouseleave', () => {
+            cursor.setAttribute('visibility', 'hidden');
+            tooltip.style.display = 'none';
+        });
+
+        hitArea.addEventListener('click', (event) => {
+            event.preventDefault();
+            event.stopPropagation();
+
+            const { index, height } = locate(event);
+            const point = series[index];
+
+            // Jump to whichever line is closer to the pointer
+            const candidates = ['sunrise', 'sunset'].filter(type => point[type] !== null);
+            if (candidates.length === 0 || !this.onJumpToDate) return;
+
+            const type = candidates.reduce((best, current) =>
+                Math.abs(y(point[current]) - height) < Math.abs(y(point[best]) - height) ? current : best
+            );
+            this.onJumpToDate(point.date, type === 'sunrise', type);
+        });
+    }
+
+    /**
+     * Create the list of date windows in which the sun's disc likely fits the street
+     * @param {Object} result - Optimal day calculation result with windows
+     * @returns {string} HTML content (empty without windows)
+     */
+    createAlignmentWindowsHTML(result) {
+        if (!result.windows || result.windows.length === 0) return '';
+
+        const timeZone = result.timeZone || undefined;
+        const { halfAngle, bearingUncertainty } = result.searchParams.corridor;
+        const rows = result.windows.map(window => `
+            <div class="alignment-window">
+                <span>${formatZonedDateRange(window.startDate, window.endDate, timeZone)} ${window.type}</span>
+                <span class="alignment-window-confidence">${(window.confidence * 100).toFixed(0)}%</span>
+                <button class="jump-to-date-btn small" data-date="${window.peakDate.toISOString()}" data-sunrise="${window.type === 'sunrise'}" data-mode="${window.type}">
+                    Jump
+                </button>
+            </div>
+        `).join('');
+
+        return `
+            <div class="alignment-windows" title="Street corridor ±${halfAngle.toFixed(2)}°, bearing uncertainty ±${bearingUncertainty.toFixed(2)}°">
+                <div class="alignment-windows-title">Full sun disc in the street (confidence)</div>
+                ${rows}
+            </div>
+        `;
+    }
+
+    /**
+     * Create line describing the peak interpolated between daily samples
+     * @param {Object|null} refined - Refined peak from OptimalDayCalculator.refinePeak
+     * @param {string|undefined} timeZone - IANA zone for display
+     * @returns {string} HTML content (empty when the peak could not be refined)
+     */
+    createRefinedPeakHTML(refined, timeZone) {
+        if (!refined) return '';
+
+        const offset = refined.dayOffset >= 0 ? `+${refined.dayOffset.toFixed(2)}` : refined.dayOffset.toFixed(2);
+
+        return `
+            <div class="optimal-day-peak" title="Day ${refined.fractionalDayOfYear.toFixed(3)} of the year, interpolated between daily events">
+                Event ${formatZonedDate(refined.time, timeZone)} ${formatZonedTime(refined.time, timeZone, true)}
+                • interpolated peak ${offset} d • ${refined.sunAzimuth.toFixed(2)}° • ${refined.residualAngle.toFixed(3)}° off
+            </div>
+        `;
+    }
+
+    /**
+     * Create note about days skipped for polar day, polar night or terrain
+     * @param {Object} polarDays - Counts keyed by SUN_EVENT_STATUS
+     * @returns {string} HTML content (empty when no days were skipped)
+     */
+    createPolarDaysNote(polarDays) {
+        if (!polarDays) return '';
+
+        const parts = [];
+        if (polarDays[SUN_EVENT_STATUS.POLAR_DAY] > 0) {
+            parts.push(`the sun never sets on ${polarDays[SUN_EVENT_STATUS.POLAR_DAY]} days`);
+        }
+        if (polarDays[SUN_EVENT_STATUS.POLAR_NIGHT] > 0) {
+            parts.push(`the sun never rises on ${polarDays[SUN_EVENT_STATUS.POLAR_NIGHT]} days`);
+        }
+        if (polarDays[SUN_EVENT_STATUS.TERRAIN_BLOCKED] > 0) {
+            parts.push(`terrain hides sunrise or sunset on ${polarDays[SUN_EVENT_STATUS.TERRAIN_BLOCKED]} days`);
+        }
+
+        if (parts.length === 0) return '';
+
+        return `
+            <div class="optimal-day-polar-note">
+                Skipped: ${parts.join(' and ')}.
+            </div>
+        `;
+    }
+
     /**
      * Set up handlers for optimal day result elements
      * @param {Object} result - Optimal day calculation result
@@ -401,14 +1304,35 @@ export class MapManager {
                 
                 const dateStr = btn.dataset.date;
                 const isSunrise = btn.dataset.sunrise === 'true';
+                const mode = btn.dataset.mode;
                 
                 if (this.onJumpToDate) {
-                    this.onJumpToDate(new Date(dateStr), isSunrise);
+                    this.onJumpToDate(new Date(dateStr), isSunrise, mode);
                 }
             });
         });
     }
 
+    /**
+     * Set up the calendar export button of a street's results
+     * @param {Object} segment - Street segment data
+     * @param {Object} result - Optimal day calculation result
+     * @param {HTMLElement} resultsElement - Results container element
+     */
+    setupCalendarExportHandler(segment, result, resultsElement) {
+        const exportBtn = resultsElement.querySelector('.export-ics-btn');
+        if (!exportBtn) return;
+
+        exportBtn.addEventListener('click', (e) => {
+            e.preventDefault();
+            e.stopPropagation();
+
+            if (this.onCalendarExport) {
+                this.onCalendarExport(segment, result);
+            }
+        });
+    }
+
     /**
      * Set callback for optimal day calculations
      * @param {Function} callback - Callback function
@@ -417,6 +1341,14 @@ export class MapManager {
         this.onOptimalDayCalculation = callback;
     }
 
+    /**
+     * Set callback for bright moon alignment searches
+     * @param {Function} callback - Callback function
+     */
+    setMoonAlignmentCalculationCallback(callback) {
+        this.onMoonAlignmentCalculation = callback;
+    }
+
     /**
      * Set callback for jump to date functionality
      * @param {Function} callback - Callback function
@@ -425,6 +1357,14 @@ export class MapManager {
         this.onJumpToDate = callback;
     }
 
+    /**
+     * Set callback for exporting a street's optimal days to a calendar file
+     * @param {Function} callback - Callback function
+     */
+    setCalendarExportCallback(callback) {
+        this.onCalendarExport = callback;
+    }
+
     /**
      * Destroy the map instance
      */
@@ -0,0 +1,249 @@
+import { OptimalDayCalculator } from './optimal-day.js';
+
+/**
+ * Runs optimal day searches in a Web Worker so the map stays responsive.
+ * Falls back to the main thread where workers are unavailable or fail.
+ */
+export class OptimalDayService {
+    constructor() {
+        this.worker = null;
+        this.workerFailed = false;
+        this.fallbackCalculator = null;
+        this.requests = new Map();
+        this.nextRequestId = 1;
+    }
+
+    /**
+     * Find optimal sunrise/sunset days for a street
+     * @param {number} streetBearing - Street bearing in degrees
+     * @param {number} lat - Latitude
+     * @param {number} lng - Longitude
+     * @param {Function|null} progressCallback - Called with progress percentage
+     * @param {Object} options - Search options (see OptimalDayCalculator.findOptimalDayWithProgress)
+     * @param {AbortSignal|null} signal - Cancels the search
+     * @returns {Promise<Object>} Optimal day results
+     */
+    findOptimalDay(streetBearing, lat, lng, progressCallback, options = {}, signal = null) {
+        return this.run('findOptimalDayWithProgress', [streetBearing, lat, lng, options], progressCallback, signal);
+    }
+
+    /**
+     * Find days when a bright moon rises or sets along a street
+     * @param {number} streetBearing - Street bearing in degrees
+     * @param {number} lat - Latitude
+     * @param {number} lng - Longitude
+     * @param {Function|null} progressCallback - Called with progress percentage
+     * @param {Object} options - Search options (see OptimalDayCalculator.findBrightMoonAlignments)
+     * @param {AbortSignal|null} signal - Cancels the search
+     * @returns {Promise<Object>} Moon alignment results
+     */
+    findBrightMoonAlignments(streetBearing, lat, lng, progressCallback, options = {}, signal = null) {
+        return this.run('findBrightMoonAlignments', [streetBearing, lat, lng, options], progressCallback, signal);
+    }
+
+    /**
+     * Find the henge date (day of best annual alignment) of many streets around one location
+     * @param {Array<number>} streetBearings - Street bearings in degrees
+     * @param {number} lat - Latitude
+     * @param {number} lng - Longitude
+     * @param {Function|null} progressCallback - Called with progress percentage
+     * @param {Object} options - Search options (see OptimalDayCalculator.findHengeDates)
+     * @param {AbortSignal|null} signal - Cancels the search
+     * @returns {Promise<Object>} Henge dates
+     */
+    findHengeDates(streetBearings, lat, lng, progressCallback, options = {}, signal = null) {
+        return this.run('findHengeDates', [streetBearings, lat, lng, options], progressCallback, signal);
+    }
+
+    /**
+     * Count the aligned days per year of many streets around one location
+     * @param {Array<number>} streetBearings - Street bearings in degrees
+     * @param {number} lat - Latitude
+     * @param {number} lng - Longitude
+     * @param {Function|null} progressCallback - Called with progress percentage
+     * @param {Object} options - Search options (see OptimalDayCalculator.countAlignedDays)
+     * @param {AbortSignal|null} signal - Cancels the search
+     * @returns {Promise<Object>} Aligned day counts
+     */
+    countAlignedDays(streetBearings, lat, lng, progressCallback, options = {}, signal = null) {
+        return this.run('countAlignedDays', [streetBearings, lat, lng, options], progressCallback, signal);
+    }
+
+    /**
+     * Run a calculator method in the worker
+     * @param {string} method - OptimalDayCalculator method name
+     * @param {Array} args - [streetBearing, lat, lng, options]
+     * @param {Function|null} progressCallback - Called with progress percentage
+     * @param {AbortSignal|null} signal - Cancels the search
+     * @returns {Promise<Object>} Search result (rejects with an AbortError when cancelled)
+     */
+    run(method, args, progressCallback, signal) {
+        if (signal && signal.aborted) {
+            return Promise.reject(this.createAbortError());
+        }
+
+        const worker = this.getWorker();
+        if (!worker) {
+            return this.runOnMainThread(method, args, progressCallback, signal);
+        }
+
+        const id = this.nextRequestId++;
+
+        return new Promise((resolve, reject) => {
+            const onAbort = () => {
+                worker.postMessage({ id, type: 'cancel' });
+                this.finishRequest(id);
+                reject(this.createAbortError());
+            };
+
+            this.requests.set(id, {
+                method,
+                args,
+                signal,
+                progressCallback,
+                resolve,
+                reject,
+                cleanup: () => signal && signal.removeEventListener('abort', onAbort)
+            });
+
+            if (signal) {
+                signal.addEventListener('abort', onAbort, { once: true });
+            }
+
+            worker.postMessage({ id, type: 'run', method, args });
+        });
+    }
+
+    /**
+     * Run a calculator method on the main thread
+     * @param {string} method - OptimalDayCalculator method name
+     * @param {Array} args - [streetBearing, lat, lng, options]
+     * @param {Function|null} progressCallback - Called with progress percentage
+     * @param {AbortSignal|null} signal - Cancels the search
+     * @returns {Promise<Object>} Search result
+     */
+    runOnMainThread(method, args, progressCallback, signal) {
+        if (!this.fallbackCalculator) {
+            this.fallbackCalculator = new OptimalDayCalculator();
+        }
+
+        const [streetBearing, lat, lng, options] = args;
+        return this.fallbackCalculator[method](streetBearing, lat, lng, progressCallback, { ...options, signal });
+    }
+
+    /**
+     * Get the search worker, starting it on first use
+     * @returns {Worker|null} Worker, or null if workers are unavailable or have failed
+     */
+    getWorker() {
+        if (this.worker || this.workerFailed || typeof Worker === 'undefined') {
+            return this.worker;
+        }
+
+        try {
+            this.worker = new Worker(new URL('../workers/optimal-day.worker.js', import.meta.url), { type: 'module' });
+            this.worker.addEventListener('message', (event) => this.handleMessage(event.data));
+            this.worker.addEventListener('error', (event) => this.handleWorkerError(event));
+        } catch (error) {
+            console.warn('Could not start optimal day worker, searching on the main thread:', error);
+            this.worker = null;
+        }
+
+        return this.worker;
+    }
+
+    /**
+     * Handle a message from the worker
+     * @param {Object} message - {id, type, progress|result|error}
+     */
+    handleMessage(message) {
+        const request = this.requests.get(message.id);
+        if (!request) {
+            // Cancelled requests may still report before the worker notices
+            return;
+        }
+
+        switch (message.type) {
+            case 'progress':
+                request.progressCallback && request.progressCallback(message.progress);
+                break;
+            case 'result':
+                this.finishRequest(message.id);
+                request.resolve(message.result);
+                break;
+            case 'error':
+                this.finishRequest(message.id);
+                request.reject(this.createError(message.error));
+                break;
+        }
+    }
+
+    /**
+     * Move pending requests to the main thread when the worker crashes or cannot load (e.g. browsers
+     * without module workers); later searches stay on the main thread
+     * @param {ErrorEvent} event - Worker error event
+     */
+    handleWorkerError(event) {
+        console.error('Optimal day worker failed, searching on the main thread:', event.message || event);
+
+        this.terminate();
+        this.workerFailed = true;
+
+        const pending = Array.from(this.requests.keys());
+        pending.forEach(id => {
+            const { method, args, progressCallback, signal, resolve, reject } = this.requests.get(id);
+            this.finishRequest(id);
+
+            if (signal && signal.aborted) {
+                reject(this.createAbortError());
+                return;
+            }
+            this.runOnMainThread(method, args, progressCallback, signal).then(resolve, reject);
+        });
+    }
+
+    /**
+     * Forget a request and detach its abort listener
+     * @param {number} id - Request id
+     */
+    finishRequest(id) {
+        const request = this.requests.get(id);
+        if (request) {
+            request.cleanup();
+            this.requests.delete(id);
+        }
+    }
+
+    /**
+     * Rebuild an error posted by the worker, keeping the types callers check for
+     * @param {Object} error - {name, message}
+     * @returns {Error} Error
+     */
+    createError({ name, message }) {
+        if (name === 'AbortError') {
+            return this.createAbortError();
+        }
+        if (name === 'RangeError') {
+            return new RangeError(message);
+        }
+        return new Error(message);
+    }
+
+    /**
+     * Create the error used for cancelled searches
+     * @returns {DOMException} AbortError
+     */
+    createAbortError() {
+        return new DOMException('Search cancelled', 'AbortError');
+    }
+
+    /**
+     * Stop the worker
+     */
+    terminate() {
+        if (this.worker) {
+            this.worker.terminate();
+            this.worker = null;
+        }
+    }
+}
\ No newline at end of file
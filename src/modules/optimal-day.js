@@ -1,5 +1,12 @@
-import { SolarCalculator } from './solar.js';
-import { calculateStreetAlignment } from '../utils/geometry.js';
+import { SolarCalculator, SUN_EVENT_STATUS } from './solar.js';
+import { LunarCalculator } from './lunar.js';
+import { calculateStreetAlignment, calculateStreetOffset } from '../utils/geometry.js';
+import { CONFIG } from '../utils/constants.js';
+import { getAlignmentConfidence, findAlignmentWindows } from '../utils/alignment.js';
+import { getDefaultScoring, getScoringKey, getScoringRange, scoreAngle } from '../utils/scoring.js';
+import { zonedTimeToDate, getZonedDayAnchor, addDaysToDateValue, getDateRangeFromToday } from '../utils/timezone.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
 
 /**
  * Calculate optimal days for street solar alignment
@@ -7,199 +14,463 @@ import { calculateStreetAlignment } from '../utils/geometry.js';
 export class OptimalDayCalculator {
     constructor() {
         this.solarCalculator = new SolarCalculator();
+        this.lunarCalculator = new LunarCalculator();
         this.cache = new Map();
     }
 
     /**
-     * Find the optimal day(s) of the year for street alignment
+     * Find the optimal day(s) of a calendar year for street alignment
      * @param {number} streetBearing - Street bearing in degrees
      * @param {number} lat - Latitude
      * @param {number} lng - Longitude
      * @param {number} year - Year to search (defaults to current year)
      * @param {boolean} includeSunrise - Include sunrise calculations
      * @param {boolean} includeSunset - Include sunset calculations
+     * @param {Object} eventOptions - Sun event definition incl. terrain horizon and observer conditions (see SolarCalculator.getSunEvent)
+     * @param {Object} scoring - Scoring function {type, sigma, tolerance} (see scoring.js)
      * @returns {Promise<Object>} Optimal day results
      */
-    async findOptimalDay(streetBearing, lat, lng, year = null, includeSunrise = true, includeSunset = true) {
+    async findOptimalDay(streetBearing, lat, lng, year = null, includeSunrise = true, includeSunset = true, eventOptions = {}, scoring = getDefaultScoring()) {
         const searchYear = year || new Date().getFullYear();
-        const cacheKey = `${streetBearing.toFixed(4)}_${lat.toFixed(6)}_${lng.toFixed(6)}_${searchYear}_${includeSunrise}_${includeSunset}`;
+        const cacheKey = `${streetBearing.toFixed(4)}_${lat.toFixed(6)}_${lng.toFixed(6)}_${searchYear}_${includeSunrise}_${includeSunset}_${this.solarCalculator.getEventOptionsKey(eventOptions)}_${getScoringKey(scoring)}`;
         
         if (this.cache.has(cacheKey)) {
             return this.cache.get(cacheKey);
         }
 
-        const results = [];
-        const daysInYear = this.isLeapYear(searchYear) ? 366 : 365;
+        const result = await this.findOptimalDayWithProgress(streetBearing, lat, lng, null, {
+            year: searchYear,
+            includeSunrise,
+            includeSunset,
+            eventOptions,
+            scoring
+        });
+        const optimalResult = { ...result, year: searchYear };
+
+        // Cache the result
+        this.cache.set(cacheKey, optimalResult);
         
-        // Calculate alignment for each day of the year
-        for (let dayOfYear = 1; dayOfYear <= daysInYear; dayOfYear++) {
-            const date = this.dayOfYearToDate(dayOfYear, searchYear);
-            
-            const dayResults = {
-                date: date,
-                dayOfYear: dayOfYear,
-                alignments: []
-            };
+        return optimalResult;
+    }
+
+    /**
+     * Find optimal day with progress callback
+     * @param {number} streetBearing - Street bearing in degrees
+     * @param {number} lat - Latitude
+     * @param {number} lng - Longitude
+     * @param {Function|null} progressCallback - Called with progress percentage
+     * @param {Object} options - Search options {startDate, endDate, year, includeSunrise, includeSunset, eventOptions, scoring, timeZone, corridor, signal};
+     *     see resolveSearchRange for the date range, and eventOptions and scoring must match the heatmap's so both
+     *     use the same horizon, observer height, atmosphere and scoring function. corridor is the street's {halfAngle, bearingUncertainty}
+     *     from getStreetCorridor and turns on alignment windows
+     * @returns {Promise<Object>} Optimal day results, including every peak day in `localMaxima` (best first; topDays
+     *     are the first five), the daily `series` [{date, dateValue, sunrise, sunset, peak}]
+     *     of sunrise/sunset scores (null when the event is missing or not searched) and the date `windows` in which the sun's
+     *     disc likely fits the street (see findAlignmentWindows; empty without a corridor); rejects with an AbortError when signal is aborted
+     */
+    async findOptimalDayWithProgress(streetBearing, lat, lng, progressCallback, options = {}) {
+        const {
+            includeSunrise = true,
+            includeSunset = true,
+            eventOptions = {},
+            scoring = getDefaultScoring(),
+            timeZone = null,
+            corridor = null,
+            signal = null
+        } = options;
+
+        const { startDate, endDate } = this.resolveSearchRange(options, timeZone);
+        const searchDays = this.getSearchDays(startDate, endDate, timeZone);
+        const polarDays = this.createPolarDayCounts();
+        const series = [];
+        const windowDays = [];
+
+        const events = [];
+        if (includeSunrise) events.push({ type: 'sunrise', isSunrise: true });
+        if (includeSunset) events.push({ type: 'sunset', isSunrise: false });
 
-            // Calculate sunrise alignment if requested
-            if (includeSunrise) {
+        const results = await this.scanDays(searchDays, ({ date, dateValue, dayOfYear, isPadding }) => {
+            const point = { date, dateValue, sunrise: null, sunset: null, peak: null };
+            if (!isPadding) series.push(point);
+
+            const alignments = [];
+            const skipped = new Set();
+            events.forEach(({ type, isSunrise }) => {
                 try {
-                    const sunriseAzimuth = this.solarCalculator.getSunAzimuth(date, lat, lng, true);
-                    const sunriseAlignment = calculateStreetAlignment(streetBearing, sunriseAzimuth);
-                    
-                    dayResults.alignments.push({
-                        type: 'sunrise',
-                        sunAzimuth: sunriseAzimuth,
-                        alignmentScore: sunriseAlignment
+                    const sunEvent = this.solarCalculator.getSunEvent(date, lat, lng, isSunrise, eventOptions);
+
+                    // Polar day, polar night or terrain can leave one event (or both) without a time to score
+                    if (sunEvent.status !== SUN_EVENT_STATUS.NORMAL) {
+                        skipped.add(sunEvent.status);
+                        return;
+                    }
+
+                    const alignmentScore = calculateStreetAlignment(streetBearing, sunEvent.azimuth, scoring);
+                    const offset = calculateStreetOffset(streetBearing, sunEvent.azimuth);
+                    const confidence = corridor ? getAlignmentConfidence(offset, corridor) : null;
+                    point[type] = alignmentScore;
+
+                    alignments.push({
+                        type,
+                        sunAzimuth: sunEvent.azimuth,
+                        time: sunEvent.time,
+                        alignmentScore,
+                        residualAngle: Math.abs(offset),
+                        confidence
                     });
+
+                    if (corridor && !isPadding) {
+                        windowDays.push({ date, dateValue, type, time: sunEvent.time, confidence });
+                    }
                 } catch (error) {
-                    console.warn(`Error calculating sunrise for day ${dayOfYear}:`, error);
+                    console.warn(`Error calculating ${type} for day ${dayOfYear}:`, error);
                 }
-            }
+            });
+
+            // A day counts once per reason, even when both its events are missing
+            if (!isPadding) skipped.forEach(status => polarDays[status]++);
+            return alignments;
+        }, progressCallback, signal);
+
+        // Padding days only serve as neighbours for maxima at the ends of the range
+        const localMaxima = this.findLocalMaxima(results).filter(day => !day.isPadding);
+        const daysInRange = results.filter(day => !day.isPadding);
+        this.refinePeaks(localMaxima, streetBearing, lat, lng, eventOptions, timeZone, scoring);
+
+        // Flag the maxima in the daily series for charting
+        const peakTypes = new Map(localMaxima.map(day => [day.date.getTime(), day.bestAlignment.type]));
+        series.forEach(point => {
+            point.peak = peakTypes.get(point.date.getTime()) || null;
+        });
+        
+        return {
+            streetBearing,
+            startDate,
+            endDate,
+            timeZone,
+            searchParams: { includeSunrise, includeSunset, eventOptions, scoring, corridor },
+            bestDay: localMaxima[0] || null,
+            topDays: localMaxima.slice(0, 5),
+            localMaxima,
+            averageAlignment: this.calculateAverageAlignment(daysInRange),
+            statistics: this.calculateStatistics(daysInRange, scoring),
+            totalLocalMaxima: localMaxima.length,
+            polarDays,
+            series,
+            windows: corridor ? findAlignmentWindows(windowDays) : []
+        };
+    }
 
-            // Calculate sunset alignment if requested
-            if (includeSunset) {
+    /**
+     * Find days when a bright moon rises or sets along the street
+     * @param {number} streetBearing - Street bearing in degrees
+     * @param {number} lat - Latitude
+     * @param {number} lng - Longitude
+     * @param {Function|null} progressCallback - Called with progress percentage
+     * @param {Object} options - Search options {startDate, endDate, year, includeMoonrise, includeMoonset, minIllumination, scoring, timeZone, signal}
+     * @returns {Promise<Object>} Moon alignment results (rejects with an AbortError when signal is aborted)
+     */
+    async findBrightMoonAlignments(streetBearing, lat, lng, progressCallback, options = {}) {
+        const {
+            includeMoonrise = true,
+            includeMoonset = true,
+            minIllumination = CONFIG.moon.minIllumination,
+            scoring = getDefaultScoring(),
+            timeZone = null,
+            signal = null
+        } = options;
+
+        const { startDate, endDate } = this.resolveSearchRange(options, timeZone);
+        const searchDays = this.getSearchDays(startDate, endDate, timeZone);
+
+        const events = [];
+        if (includeMoonrise) events.push({ type: 'moonrise', isMoonrise: true });
+        if (includeMoonset) events.push({ type: 'moonset', isMoonrise: false });
+
+        const results = await this.scanDays(searchDays, ({ date, dayOfYear }) => {
+            const alignments = [];
+            events.forEach(({ type, isMoonrise }) => {
                 try {
-                    const sunsetAzimuth = this.solarCalculator.getSunAzimuth(date, lat, lng, false);
-                    const sunsetAlignment = calculateStreetAlignment(streetBearing, sunsetAzimuth);
-                    
-                    dayResults.alignments.push({
-                        type: 'sunset',
-                        sunAzimuth: sunsetAzimuth,
-                        alignmentScore: sunsetAlignment
+                    const moonEvent = this.lunarCalculator.getMoonEvent(date, lat, lng, isMoonrise, timeZone);
+
+                    // Skip days without the event; faint moons are dropped after finding the peaks
+                    if (!moonEvent) {
+                        return;
+                    }
+
+                    alignments.push({
+                        type,
+                        moonAzimuth: moonEvent.azimuth,
+                        time: moonEvent.time,
+                        illumination: moonEvent.illumination,
+                        alignmentScore: calculateStreetAlignment(streetBearing, moonEvent.azimuth, scoring),
+                        residualAngle: Math.abs(calculateStreetOffset(streetBearing, moonEvent.azimuth))
                     });
                 } catch (error) {
-                    console.warn(`Error calculating sunset for day ${dayOfYear}:`, error);
+                    console.warn(`Error calculating ${type} for day ${dayOfYear}:`, error);
                 }
-            }
+            });
+            return alignments;
+        }, progressCallback, signal);
 
-            // Find best alignment for this day
-            if (dayResults.alignments.length > 0) {
-                const bestAlignment = dayResults.alignments.reduce((best, current) => 
-                    current.alignmentScore > best.alignmentScore ? current : best
-                );
-                dayResults.bestAlignment = bestAlignment;
-                results.push(dayResults);
-            }
+        // Peaks are judged against neighbouring days whatever the phase, then kept only for a bright moon
+        const isBright = day => day.bestAlignment.illumination >= minIllumination;
+        const localMaxima = this.findLocalMaxima(results).filter(day => !day.isPadding && isBright(day));
 
-            // Yield control periodically to prevent UI blocking
-            if (dayOfYear % 30 === 0) {
-                await new Promise(resolve => setTimeout(resolve, 0));
-            }
-        }
-
-        // Find local maxima (peaks) instead of just highest scores
-        const localMaxima = this.findLocalMaxima(results);
-        
-        const optimalResult = {
+        return {
             streetBearing,
-            year: searchYear,
-            searchParams: { includeSunrise, includeSunset },
+            startDate,
+            endDate,
+            timeZone,
+            searchParams: { includeMoonrise, includeMoonset, minIllumination, scoring },
             bestDay: localMaxima[0] || null,
-            topDays: localMaxima.slice(0, 5),
-            averageAlignment: this.calculateAverageAlignment(results),
-            statistics: this.calculateStatistics(results),
+            topDays: localMaxima.slice(0, CONFIG.optimalDay.maxResults),
+            averageAlignment: this.calculateAverageAlignment(results.filter(day => !day.isPadding && isBright(day))),
             totalLocalMaxima: localMaxima.length
         };
+    }
 
-        // Cache the result
-        this.cache.set(cacheKey, optimalResult);
-        
-        return optimalResult;
+    /**
+     * Find the "henge date" of many streets at once: the day their best sunrise or sunset alignment
+     * falls on. Event azimuths are computed once for the location and every bearing is matched
+     * against that table, so thousands of segments cost little more than one.
+     * @param {Array<number>} streetBearings - Street bearings in degrees
+     * @param {number} lat - Latitude of the area
+     * @param {number} lng - Longitude of the area
+     * @param {Function|null} progressCallback - Called with progress percentage
+     * @param {Object} options - Search options {startDate, endDate, year, includeSunrise, includeSunset, eventOptions, scoring, timeZone, signal}
+     * @returns {Promise<Object>} {startDate, endDate, timeZone, dates}; dates[i] is {date, dateValue, dayOfYear, type, time, score}
+     *     for streetBearings[i] (the earliest day within CONFIG.hengeMap.tieToleranceDegrees of its smallest angle off the street),
+     *     or null without events
+     */
+    async findHengeDates(streetBearings, lat, lng, progressCallback, options = {}) {
+        const { scoring = getDefaultScoring() } = options;
+        const { startDate, endDate, timeZone, table } = await this.buildEventTable(lat, lng, progressCallback, options);
+
+        const dates = streetBearings.map(bearing => {
+            if (table.length === 0) return null;
+
+            // Rank by angle rather than score, so flat scoring functions (a hard tolerance window) still pick one day
+            const angles = table.map(entry => Math.abs(calculateStreetOffset(bearing, entry.azimuth)));
+            const bestAngle = Math.min(...angles);
+
+            // Streets usually line up twice around each solstice; take the first such day in the range
+            const index = angles.findIndex(angle => angle <= bestAngle + CONFIG.hengeMap.tieToleranceDegrees);
+            const { date, dateValue, dayOfYear, type, time } = table[index];
+
+            return { date, dateValue, dayOfYear, type, time, score: scoreAngle(angles[index], scoring) };
+        });
+
+        return { startDate, endDate, timeZone, dates };
     }
 
     /**
-     * Find optimal day with progress callback
-     * @param {number} streetBearing - Street bearing in degrees
+     * Count, for many streets at once, the days on which sunrise or sunset lines up with them.
+     * Like findHengeDates, the event table is computed once and shared by every bearing.
+     * @param {Array<number>} streetBearings - Street bearings in degrees
+     * @param {number} lat - Latitude of the area
+     * @param {number} lng - Longitude of the area
+     * @param {Function|null} progressCallback - Called with progress percentage
+     * @param {Object} options - Search options {minScore, scoring, startDate, endDate, year, includeSunrise, includeSunset, eventOptions, timeZone, signal}
+     * @returns {Promise<Object>} {startDate, endDate, timeZone, minScore, dayCount, counts}; counts[i] is the number of days
+     *     in the range on which an event scores at least minScore for streetBearings[i]
+     */
+    async countAlignedDays(streetBearings, lat, lng, progressCallback, options = {}) {
+        const { minScore = CONFIG.alignedDays.minScore, scoring = getDefaultScoring() } = options;
+        const { startDate, endDate, timeZone, table, dayCount } = await this.buildEventTable(lat, lng, progressCallback, options);
+
+        const counts = streetBearings.map(bearing => {
+            let count = 0;
+            let lastDay = null;
+
+            // A day counts once even when both its sunrise and sunset line up
+            table.forEach(entry => {
+                if (entry.dateValue !== lastDay && calculateStreetAlignment(bearing, entry.azimuth, scoring) >= minScore) {
+                    count++;
+                    lastDay = entry.dateValue;
+                }
+            });
+
+            return count;
+        });
+
+        return { startDate, endDate, timeZone, minScore, dayCount, counts };
+    }
+
+    /**
+     * Compute the sunrise and sunset azimuths of every day in a search range at one location
      * @param {number} lat - Latitude
      * @param {number} lng - Longitude
-     * @param {Function} progressCallback - Called with progress percentage
-     * @param {Object} options - Search options
-     * @returns {Promise<Object>} Optimal day results
+     * @param {Function|null} progressCallback - Called with progress percentage
+     * @param {Object} options - Search options {startDate, endDate, year, includeSunrise, includeSunset, eventOptions, timeZone, signal}
+     * @returns {Promise<Object>} {startDate, endDate, timeZone, dayCount, table}; table is chronological
+     *     [{date, dateValue, dayOfYear, type, time, azimuth}] and skips days without the event
      */
-    async findOptimalDayWithProgress(streetBearing, lat, lng, progressCallback, options = {}) {
+    async buildEventTable(lat, lng, progressCallback, options = {}) {
         const {
-            year = new Date().getFullYear(),
             includeSunrise = true,
-            includeSunset = true
+            includeSunset = true,
+            eventOptions = {},
+            timeZone = null,
+            signal = null
         } = options;
 
-        const results = [];
-        const daysInYear = this.isLeapYear(year) ? 366 : 365;
-        
-        for (let dayOfYear = 1; dayOfYear <= daysInYear; dayOfYear++) {
-            const date = this.dayOfYearToDate(dayOfYear, year);
-            
-            const dayResults = {
-                date: date,
-                dayOfYear: dayOfYear,
-                alignments: []
-            };
+        const { startDate, endDate } = this.resolveSearchRange(options, timeZone);
+        const searchDays = this.getSearchDays(startDate, endDate, timeZone).filter(day => !day.isPadding);
 
-            if (includeSunrise) {
-                try {
-                    const sunriseAzimuth = this.solarCalculator.getSunAzimuth(date, lat, lng, true);
-                    const sunriseAlignment = calculateStreetAlignment(streetBearing, sunriseAzimuth);
-                    
-                    dayResults.alignments.push({
-                        type: 'sunrise',
-                        sunAzimuth: sunriseAzimuth,
-                        alignmentScore: sunriseAlignment
-                    });
-                } catch (error) {
-                    console.warn(`Error calculating sunrise for day ${dayOfYear}:`, error);
-                }
-            }
+        const events = [];
+        if (includeSunrise) events.push({ type: 'sunrise', isSunrise: true });
+        if (includeSunset) events.push({ type: 'sunset', isSunrise: false });
 
-            if (includeSunset) {
+        const table = [];
+        await this.scanDays(searchDays, ({ date, dateValue, dayOfYear }) => {
+            events.forEach(({ type, isSunrise }) => {
                 try {
-                    const sunsetAzimuth = this.solarCalculator.getSunAzimuth(date, lat, lng, false);
-                    const sunsetAlignment = calculateStreetAlignment(streetBearing, sunsetAzimuth);
-                    
-                    dayResults.alignments.push({
-                        type: 'sunset',
-                        sunAzimuth: sunsetAzimuth,
-                        alignmentScore: sunsetAlignment
-                    });
+                    const sunEvent = this.solarCalculator.getSunEvent(date, lat, lng, isSunrise, eventOptions);
+                    if (sunEvent.status !== SUN_EVENT_STATUS.NORMAL) {
+                        return;
+                    }
+                    table.push({ date, dateValue, dayOfYear, type, time: sunEvent.time, azimuth: sunEvent.azimuth });
                 } catch (error) {
-                    console.warn(`Error calculating sunset for day ${dayOfYear}:`, error);
+                    console.warn(`Error calculating ${type} for day ${dayOfYear}:`, error);
                 }
-            }
+            });
+            return [];
+        }, progressCallback, signal);
 
-            if (dayResults.alignments.length > 0) {
-                const bestAlignment = dayResults.alignments.reduce((best, current) => 
-                    current.alignmentScore > best.alignmentScore ? current : best
-                );
-                dayResults.bestAlignment = bestAlignment;
-                results.push(dayResults);
+        table.sort((a, b) => a.time - b.time);
+
+        return { startDate, endDate, timeZone, dayCount: searchDays.length, table };
+    }
+
+    /**
+     * Evaluate each search day, reporting progress and yielding so cancellation can get through.
+     * Shared by every search so they behave the same on the main thread and in the worker.
+     * @param {Array} searchDays - Days from getSearchDays
+     * @param {Function} evaluateDay - Called with a search day, returns that day's alignments
+     * @param {Function|null} progressCallback - Called with progress percentage
+     * @param {AbortSignal|null} signal - Stops the scan with an AbortError when aborted
+     * @returns {Promise<Array>} Day results {date, dayOfYear, isPadding, alignments, bestAlignment} for days with alignments
+     */
+    async scanDays(searchDays, evaluateDay, progressCallback, signal = null) {
+        const results = [];
+
+        for (let index = 0; index < searchDays.length; index++) {
+            this.throwIfAborted(signal);
+
+            const { date, dayOfYear, isPadding } = searchDays[index];
+            const alignments = evaluateDay(searchDays[index]);
+
+            if (alignments.length > 0) {
+                results.push({
+                    date,
+                    dayOfYear,
+                    isPadding,
+                    alignments,
+                    bestAlignment: alignments.reduce((best, current) =>
+                        this.compareAlignments(current, best) > 0 ? current : best
+                    )
+                });
             }
 
             // Report progress
-            if (progressCallback && dayOfYear % 10 === 0) {
-                const progress = (dayOfYear / daysInYear) * 100;
-                progressCallback(progress);
+            if (progressCallback && (index + 1) % CONFIG.optimalDay.progressUpdateInterval === 0) {
+                progressCallback(((index + 1) / searchDays.length) * 100);
             }
 
             // Yield control periodically
-            if (dayOfYear % 20 === 0) {
+            if ((index + 1) % CONFIG.optimalDay.yieldInterval === 0) {
                 await new Promise(resolve => setTimeout(resolve, 0));
             }
         }
 
+        this.throwIfAborted(signal);
         progressCallback && progressCallback(100);
 
-        const localMaxima = this.findLocalMaxima(results);
-        
-        return {
-            streetBearing,
-            year,
-            searchParams: { includeSunrise, includeSunset },
-            bestDay: localMaxima[0] || null,
-            topDays: localMaxima.slice(0, 5),
-            averageAlignment: this.calculateAverageAlignment(results),
-            statistics: this.calculateStatistics(results),
-            totalLocalMaxima: localMaxima.length
-        };
+        return results;
+    }
+
+    /**
+     * Throw if a search has been cancelled
+     * @param {AbortSignal|null} signal - Abort signal
+     */
+    throwIfAborted(signal) {
+        if (signal && signal.aborted) {
+            throw signal.reason instanceof Error ? signal.reason : new DOMException('Search cancelled', 'AbortError');
+        }
+    }
+
+    /**
+     * Resolve the calendar range to search
+     * @param {Object} options - {startDate, endDate} date strings (YYYY-MM-DD, inclusive), or a calendar {year};
+     *     defaults to the next 12 months from today
+     * @param {string|null} timeZone - IANA zone of the location
+     * @returns {Object} {startDate, endDate} date strings
+     */
+    resolveSearchRange(options, timeZone) {
+        let { startDate, endDate } = options;
+
+        if (!startDate || !endDate) {
+            if (options.year) {
+                startDate = `${options.year}-01-01`;
+                endDate = `${options.year}-12-31`;
+            } else {
+                const zone = timeZone || Intl.DateTimeFormat().resolvedOptions().timeZone;
+                ({ startDate, endDate } = getDateRangeFromToday(zone));
+            }
+        }
+
+        const span = (Date.parse(endDate) - Date.parse(startDate)) / DAY_MS;
+        const maxSpan = CONFIG.optimalDay.searchYearsAhead * 366;
+
+        if (isNaN(span) || span < 0) {
+            throw new RangeError(`Invalid search range ${startDate} to ${endDate}`);
+        }
+        if (span > maxSpan) {
+            throw new RangeError(`Search range is longer than ${CONFIG.optimalDay.searchYearsAhead} years`);
+        }
+
+        return { startDate, endDate };
+    }
+
+    /**
+     * List the days of a search range, plus one padding day on each side so that
+     * maxima on the first and last day are judged against real neighbours
+     * @param {string} startDate - First day (YYYY-MM-DD)
+     * @param {string} endDate - Last day (YYYY-MM-DD)
+     * @param {string|null} timeZone - IANA zone of the location; days are anchored at local noon
+     * @returns {Array} [{date, dateValue, dayOfYear, isPadding}] in chronological order
+     */
+    getSearchDays(startDate, endDate, timeZone = null) {
+        const days = [];
+        const lastIndex = Math.round((Date.parse(endDate) - Date.parse(startDate)) / DAY_MS) + 1;
+
+        for (let index = -1; index <= lastIndex; index++) {
+            const dateValue = addDaysToDateValue(startDate, index);
+            const [year, month, day] = dateValue.split('-').map(Number);
+
+            days.push({
+                date: timeZone ? getZonedDayAnchor(dateValue, timeZone) : new Date(year, month - 1, day),
+                dateValue,
+                dayOfYear: (Date.UTC(year, month - 1, day) - Date.UTC(year, 0, 0)) / DAY_MS,
+                isPadding: index < 0 || index === lastIndex
+            });
+        }
+
+        return days;
+    }
+
+    /**
+     * Compare two alignments by score, breaking ties (e.g. inside a hard tolerance window) by the smaller angle off the street
+     * @param {Object} a - Alignment {alignmentScore, residualAngle}
+     * @param {Object} b - Alignment {alignmentScore, residualAngle}
+     * @returns {number} Positive when a is better, negative when b is better, 0 when equal
+     */
+    compareAlignments(a, b) {
+        if (a.alignmentScore !== b.alignmentScore) {
+            return a.alignmentScore - b.alignmentScore;
+        }
+        return (b.residualAngle ?? 0) - (a.residualAngle ?? 0);
     }
 
     /**
@@ -208,13 +479,15 @@ export class OptimalDayCalculator {
      * @returns {Array} Array of local maxima sorted by alignment score (highest first)
      */
     findLocalMaxima(results) {
+        const byBest = (a, b) => this.compareAlignments(b.bestAlignment, a.bestAlignment);
+
         if (!results || results.length < 3) {
             // Need at least 3 points to find a local maximum
-            return results.sort((a, b) => b.bestAlignment.alignmentScore - a.bestAlignment.alignmentScore);
+            return results.sort(byBest);
         }
 
-        // Sort results by day of year to ensure chronological order
-        const sortedByDay = results.sort((a, b) => a.dayOfYear - b.dayOfYear);
+        // Sort results chronologically (ranges can span several years)
+        const sortedByDay = results.sort((a, b) => a.date - b.date);
         const localMaxima = [];
 
         for (let i = 1; i < sortedByDay.length - 1; i++) {
@@ -222,13 +495,10 @@ export class OptimalDayCalculator {
             const current = sortedByDay[i];
             const next = sortedByDay[i + 1];
 
-            const prevScore = prev.bestAlignment.alignmentScore;
-            const currentScore = current.bestAlignment.alignmentScore;
-            const nextScore = next.bestAlignment.alignmentScore;
-
             // Check if current day is a local maximum
-            // (higher than both neighbors)
-            if (currentScore > prevScore && currentScore > nextScore) {
+            // (better than both neighbors)
+            if (this.compareAlignments(current.bestAlignment, prev.bestAlignment) > 0 &&
+                this.compareAlignments(current.bestAlignment, next.bestAlignment) > 0) {
                 localMaxima.push(current);
             }
         }
@@ -238,7 +508,7 @@ export class OptimalDayCalculator {
         if (sortedByDay.length >= 2) {
             const first = sortedByDay[0];
             const second = sortedByDay[1];
-            if (first.bestAlignment.alignmentScore > second.bestAlignment.alignmentScore) {
+            if (this.compareAlignments(first.bestAlignment, second.bestAlignment) > 0) {
                 localMaxima.push(first);
             }
         }
@@ -247,22 +517,170 @@ export class OptimalDayCalculator {
         if (sortedByDay.length >= 2) {
             const last = sortedByDay[sortedByDay.length - 1];
             const secondLast = sortedByDay[sortedByDay.length - 2];
-            if (last.bestAlignment.alignmentScore > secondLast.bestAlignment.alignmentScore) {
+            if (this.compareAlignments(last.bestAlignment, secondLast.bestAlignment) > 0) {
                 localMaxima.push(last);
             }
         }
 
         // Sort local maxima by alignment score (highest first)
-        return localMaxima.sort((a, b) => b.bestAlignment.alignmentScore - a.bestAlignment.alignmentScore);
+        return localMaxima.sort(byBest);
+    }
+
+    /**
+     * Refine peak days in place, adding a `refined` peak (or null) to each
+     * @param {Array} peaks - Local maxima from findLocalMaxima
+     * @param {number} streetBearing - Street bearing in degrees
+     * @param {number} lat - Latitude
+     * @param {number} lng - Longitude
+     * @param {Object} eventOptions - Sun event definition (see SolarCalculator.getSunEvent)
+     * @param {string|null} timeZone - IANA zone the day anchors belong to
+     * @param {Object} scoring - Scoring function {type, sigma, tolerance} (see scoring.js)
+     */
+    refinePeaks(peaks, streetBearing, lat, lng, eventOptions, timeZone, scoring = getDefaultScoring()) {
+        peaks.forEach(day => {
+            try {
+                day.refined = this.refinePeak(day, streetBearing, lat, lng, eventOptions, timeZone, scoring);
+            } catch (error) {
+                console.warn(`Error refining peak for day ${day.dayOfYear}:`, error);
+                day.refined = null;
+            }
+        });
+    }
+
+    /**
+     * Interpolate the peak alignment around a peak day.
+     * The sun event only happens once a day, but its azimuth drifts smoothly from day to day,
+     * so the street offset is fitted with a parabola through the peak day and its neighbours and
+     * the fit's smallest offset is taken as the peak. That peak usually falls between two events,
+     * when the sun is not at the event altitude, so it is a day offset, not an instant; the
+     * reported time is the peak day's actual event.
+     * @param {Object} day - Peak day {date, dayOfYear, bestAlignment}
+     * @param {number} streetBearing - Street bearing in degrees
+     * @param {number} lat - Latitude
+     * @param {number} lng - Longitude
+     * @param {Object} eventOptions - Sun event definition (see SolarCalculator.getSunEvent)
+     * @param {string|null} timeZone - IANA zone the day anchors belong to
+     * @param {Object} scoring - Scoring function {type, sigma, tolerance} (see scoring.js)
+     * @returns {Object|null} {time, dayOffset, fractionalDayOfYear, sunAzimuth, residualAngle, alignmentScore}:
+     *     time is the peak day's event, the rest describe the between-days peak; null if a neighbouring day
+     *     has no event to fit
+     */
+    refinePeak(day, streetBearing, lat, lng, eventOptions, timeZone, scoring = getDefaultScoring()) {
+        const isSunrise = day.bestAlignment.type === 'sunrise';
+
+        const samples = [-1, 0, 1].map(offset => {
+            const date = this.getNeighbourDay(day.date, offset, timeZone);
+            const sunEvent = this.solarCalculator.getSunEvent(date, lat, lng, isSunrise, eventOptions);
+            return sunEvent.status === SUN_EVENT_STATUS.NORMAL ? sunEvent : null;
+        });
+
+        if (samples.some(sample => !sample)) {
+            return null;
+        }
+
+        // Unwrap the neighbours' offsets so the fit never jumps across the ±90° fold
+        const centerOffset = calculateStreetOffset(streetBearing, samples[1].azimuth);
+        const [before, center, after] = samples.map(sample => {
+            const offset = calculateStreetOffset(streetBearing, sample.azimuth);
+            return offset + 180 * Math.round((centerOffset - offset) / 180);
+        });
+
+        // Parabola through (-1, before), (0, center), (1, after)
+        const a = (after + before) / 2 - center;
+        const b = (after - before) / 2;
+        const fit = x => (a * x + b) * x + center;
+
+        const dayOffset = this.findSmallestOffset(a, b, center);
+        const residual = fit(dayOffset);
+        const residualAngle = Math.abs(residual);
+
+        return {
+            time: samples[1].time,
+            dayOffset,
+            fractionalDayOfYear: day.dayOfYear + dayOffset,
+            sunAzimuth: (samples[1].azimuth + residual - center + 360) % 360,
+            residualAngle,
+            alignmentScore: scoreAngle(residualAngle, scoring)
+        };
+    }
+
+    /**
+     * Find where a parabola a·x² + b·x + c comes closest to zero on [-1, 1]
+     * @param {number} a - Quadratic coefficient
+     * @param {number} b - Linear coefficient
+     * @param {number} c - Constant
+     * @returns {number} x with the smallest |a·x² + b·x + c|, preferring the one nearest 0
+     */
+    findSmallestOffset(a, b, c) {
+        const candidates = [-1, 1];
+
+        if (Math.abs(a) > 1e-12) {
+            const discriminant = b * b - 4 * a * c;
+            if (discriminant >= 0) {
+                const root = Math.sqrt(discriminant);
+                candidates.push((-b + root) / (2 * a), (-b - root) / (2 * a));
+            }
+            // Vertex: the sun turns back (solstice) before reaching the street
+            candidates.push(-b / (2 * a));
+        } else if (Math.abs(b) > 1e-12) {
+            candidates.push(-c / b);
+        } else {
+            candidates.push(0);
+        }
+
+        const value = x => Math.abs((a * x + b) * x + c);
+
+        return candidates
+            .filter(x => x >= -1 && x <= 1)
+            .reduce((best, x) => {
+                const difference = value(x) - value(best);
+                if (difference < -1e-9 || (Math.abs(difference) <= 1e-9 && Math.abs(x) < Math.abs(best))) {
+                    return x;
+                }
+                return best;
+            });
+    }
+
+    /**
+     * Get the day anchor a whole number of days away
+     * @param {Date} date - Day anchor (local noon in a zone, or browser-local midnight)
+     * @param {number} offset - Days to move
+     * @param {string|null} timeZone - IANA zone the anchor belongs to
+     * @returns {Date} Day anchor
+     */
+    getNeighbourDay(date, offset, timeZone) {
+        if (timeZone) {
+            // Noon ± whole days stays on the right calendar day even across DST changes
+            return new Date(date.getTime() + offset * DAY_MS);
+        }
+        return new Date(date.getFullYear(), date.getMonth(), date.getDate() + offset);
+    }
+
+    /**
+     * Create counters for days skipped because the sun never rises, never sets or stays behind terrain
+     * @returns {Object} Counts keyed by SUN_EVENT_STATUS
+     */
+    createPolarDayCounts() {
+        return {
+            [SUN_EVENT_STATUS.POLAR_DAY]: 0,
+            [SUN_EVENT_STATUS.POLAR_NIGHT]: 0,
+            [SUN_EVENT_STATUS.TERRAIN_BLOCKED]: 0
+        };
     }
 
     /**
      * Convert day of year to Date object
      * @param {number} dayOfYear - Day of year (1-366)
      * @param {number} year - Year
-     * @returns {Date} Date object
+     * @param {string|null} timeZone - IANA zone of the location; the day is anchored at its local noon
+     * @returns {Date} Date object (browser-local midnight when no zone is given)
      */
-    dayOfYearToDate(dayOfYear, year) {
+    dayOfYearToDate(dayOfYear, year, timeZone = null) {
+        if (timeZone) {
+            const day = new Date(Date.UTC(year, 0, dayOfYear));
+            return zonedTimeToDate(day.getUTCFullYear(), day.getUTCMonth() + 1, day.getUTCDate(), 12, 0, timeZone);
+        }
+
         const date = new Date(year, 0, dayOfYear);
         return date;
     }
@@ -291,9 +709,10 @@ export class OptimalDayCalculator {
     /**
      * Calculate statistics for alignment results
      * @param {Array} results - Day results
+     * @param {Object} scoring - Scoring function the results were scored with; its legend thresholds set the categories
      * @returns {Object} Statistics
      */
-    calculateStatistics(results) {
+    calculateStatistics(results, scoring = getDefaultScoring()) {
         if (!results.length) {
             return {
                 totalDays: 0,
@@ -306,17 +725,18 @@ export class OptimalDayCalculator {
 
         const stats = {
             totalDays: results.length,
-            excellent: 0, // >= 0.9
-            good: 0,      // >= 0.7
-            fair: 0,      // >= 0.5
-            poor: 0       // < 0.5
+            excellent: 0, // >= perfect threshold
+            good: 0,      // >= good threshold
+            fair: 0,      // >= poor threshold
+            poor: 0       // < poor threshold
         };
 
+        const thresholds = getScoringRange(scoring).thresholds;
         results.forEach(day => {
             const score = day.bestAlignment.alignmentScore;
-            if (score >= 0.9) stats.excellent++;
-            else if (score >= 0.7) stats.good++;
-            else if (score >= 0.5) stats.fair++;
+            if (score >= thresholds.perfect) stats.excellent++;
+            else if (score >= thresholds.good) stats.good++;
+            else if (score >= thresholds.poor) stats.fair++;
             else stats.poor++;
         });
 
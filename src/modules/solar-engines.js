@@ -0,0 +1,204 @@
+import SunCalc from 'suncalc';
+import { CONFIG } from '../utils/constants.js';
+import { calculateSpaPosition } from '../utils/spa.js';
+
+/**
+ * Solar engines behind SolarCalculator. Each engine implements:
+ *   name                                                → identifier used in config and cache keys
+ *   label                                               → display name
+ *   getPosition(time, lat, lng)                         → {azimuth, altitude} in degrees (north-based, geometric)
+ *   getSolarNoon(date, lat, lng)                        → Date of the transit nearest to date
+ *   getEventTime(date, lat, lng, altitude, isSunrise)   → Date when the sun's centre crosses altitude, or null
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Convert SunCalc azimuth (radians, south-based) to degrees (north-based)
+ * @param {number} azimuth - Azimuth in radians from SunCalc
+ * @returns {number} Azimuth in degrees (0-360)
+ */
+function fromSunCalcAzimuth(azimuth) {
+    const degrees = (azimuth * (180 / Math.PI) + 180) % 360;
+    return degrees < 0 ? degrees + 360 : degrees;
+}
+
+const CUSTOM_RISE_NAME = 'customRise';
+const CUSTOM_SET_NAME = 'customSet';
+
+// The one SunCalc.times entry [angle, riseName, setName] reused for altitudes SunCalc does not define,
+// so custom altitudes (e.g. every observer setting tried) never pile up in its global list
+let customTime = null;
+
+/**
+ * Get SunCalc time names for a solar altitude, pointing the shared custom time at it if needed.
+ * Call SunCalc.getTimes right away: the next custom altitude moves the slot
+ * @param {number} altitude - Altitude of the sun's centre in degrees
+ * @returns {Object} {riseName, setName} keys into SunCalc.getTimes results
+ */
+function getSunCalcTimeNames(altitude) {
+    const existing = SunCalc.times.find(([angle, riseName]) => riseName !== CUSTOM_RISE_NAME && Math.abs(angle - altitude) < 1e-6);
+    if (existing) {
+        return { riseName: existing[1], setName: existing[2] };
+    }
+
+    if (!customTime) {
+        SunCalc.addTime(altitude, CUSTOM_RISE_NAME, CUSTOM_SET_NAME);
+        customTime = SunCalc.times[SunCalc.times.length - 1];
+    }
+    customTime[0] = altitude;
+
+    return { riseName: CUSTOM_RISE_NAME, setName: CUSTOM_SET_NAME };
+}
+
+/**
+ * Fast engine based on SunCalc's low-precision formulas (about a minute in time)
+ */
+export class SunCalcEngine {
+    constructor() {
+        this.name = 'suncalc';
+        this.label = 'SunCalc';
+    }
+
+    /**
+     * Get sun position at an instant
+     * @param {Date} time - Instant
+     * @param {number} lat - Latitude
+     * @param {number} lng - Longitude
+     * @returns {Object} {azimuth, altitude} in degrees
+     */
+    getPosition(time, lat, lng) {
+        const position = SunCalc.getPosition(time, lat, lng);
+        return {
+            azimuth: fromSunCalcAzimuth(position.azimuth),
+            altitude: position.altitude * (180 / Math.PI)
+        };
+    }
+
+    /**
+     * Get solar noon
+     * @param {Date} date - Any instant within the target day
+     * @param {number} lat - Latitude
+     * @param {number} lng - Longitude
+     * @returns {Date} Solar noon
+     */
+    getSolarNoon(date, lat, lng) {
+        return SunCalc.getTimes(date, lat, lng).solarNoon;
+    }
+
+    /**
+     * Get the time the sun's centre crosses an altitude
+     * @param {Date} date - Any instant within the target day
+     * @param {number} lat - Latitude
+     * @param {number} lng - Longitude
+     * @param {number} altitude - Altitude in degrees
+     * @param {boolean} isSunrise - True for the morning crossing, false for the evening one
+     * @returns {Date|null} Crossing time, or null if the sun stays above or below the altitude
+     */
+    getEventTime(date, lat, lng, altitude, isSunrise) {
+        const { riseName, setName } = getSunCalcTimeNames(altitude);
+        const time = SunCalc.getTimes(date, lat, lng)[isSunrise ? riseName : setName];
+        return time && !isNaN(time.getTime()) ? time : null;
+    }
+}
+
+/**
+ * High-precision engine using the NREL Solar Position Algorithm
+ */
+export class SpaEngine {
+    /**
+     * @param {Object} options - {deltaT} in seconds (TT - UT)
+     */
+    constructor(options = {}) {
+        this.name = 'spa';
+        this.label = 'NREL SPA';
+        this.deltaT = options.deltaT ?? CONFIG.solarEngine.deltaT;
+    }
+
+    /**
+     * Get sun position at an instant
+     * @param {Date} time - Instant
+     * @param {number} lat - Latitude
+     * @param {number} lng - Longitude
+     * @returns {Object} {azimuth, altitude, hourAngle} in degrees
+     */
+    getPosition(time, lat, lng) {
+        return calculateSpaPosition(time, lat, lng, { deltaT: this.deltaT });
+    }
+
+    /**
+     * Get solar noon by stepping the local hour angle to zero
+     * @param {Date} date - Any instant within the target day
+     * @param {number} lat - Latitude
+     * @param {number} lng - Longitude
+     * @returns {Date} Solar noon
+     */
+    getSolarNoon(date, lat, lng) {
+        let time = date.getTime();
+
+        // The hour angle advances about 360° per day; three steps converge well below a second
+        for (let i = 0; i < 3; i++) {
+            const { hourAngle } = this.getPosition(new Date(time), lat, lng);
+            time -= (hourAngle / 360) * DAY_MS;
+        }
+
+        return new Date(time);
+    }
+
+    /**
+     * Get the time the sun's centre crosses an altitude, bisecting between solar noon and midnight
+     * @param {Date} date - Any instant within the target day
+     * @param {number} lat - Latitude
+     * @param {number} lng - Longitude
+     * @param {number} altitude - Altitude in degrees
+     * @param {boolean} isSunrise - True for the morning crossing, false for the evening one
+     * @returns {Date|null} Crossing time, or null if the sun stays above or below the altitude
+     */
+    getEventTime(date, lat, lng, altitude, isSunrise) {
+        const noon = this.getSolarNoon(date, lat, lng).getTime();
+        const midnight = noon + (isSunrise ? -DAY_MS / 2 : DAY_MS / 2);
+
+        const heightAbove = (time) => this.getPosition(new Date(time), lat, lng).altitude - altitude;
+
+        if (heightAbove(noon) < 0 || heightAbove(midnight) >= 0) {
+            return null;
+        }
+
+        let above = noon;
+        let below = midnight;
+        while (Math.abs(above - below) > CONFIG.solarEngine.eventPrecisionMs) {
+            const mid = (above + below) / 2;
+            if (heightAbove(mid) >= 0) {
+                above = mid;
+            } else {
+                below = mid;
+            }
+        }
+
+        return new Date((above + below) / 2);
+    }
+}
+
+/**
+ * Available engines by config name
+ */
+export const SOLAR_ENGINES = {
+    suncalc: SunCalcEngine,
+    spa: SpaEngine
+};
+
+/**
+ * Create a solar engine by name
+ * @param {string} name - Engine name (see SOLAR_ENGINES)
+ * @returns {Object} Solar engine
+ */
+export function createSolarEngine(name = CONFIG.solarEngine.engine) {
+    const Engine = SOLAR_ENGINES[name];
+
+    if (!Engine) {
+        console.warn(`Unknown solar engine "${name}", using SunCalc`);
+        return new SunCalcEngine();
+    }
+
+    return new Engine();
+}
\ No newline at end of file
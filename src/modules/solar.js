@@ -1,53 +1,387 @@
 import SunCalc from 'suncalc';
+import { CONFIG } from '../utils/constants.js';
+import { formatZonedTime, getTimeZoneOffset, zonedTimeToDate } from '../utils/timezone.js';
+import { getObserverEventAltitude } from '../utils/atmosphere.js';
+import { createSolarEngine, SOLAR_ENGINES } from './solar-engines.js';
 
 /**
- * Solar calculation utilities using SunCalc.js
+ * Possible states of a sunrise/sunset event on a given day
+ */
+export const SUN_EVENT_STATUS = {
+    NORMAL: 'normal',
+    POLAR_DAY: 'polarDay',       // Sun never sets
+    POLAR_NIGHT: 'polarNight',   // Sun never rises
+    TERRAIN_BLOCKED: 'terrainBlocked' // Sun rises but never clears the surrounding terrain
+};
+
+// Altitude of the sun's centre at standard sunrise/sunset (refraction + semi-diameter)
+export const STANDARD_HORIZON_ALTITUDE = -0.833;
+
+/**
+ * Solar calculation utilities on top of a pluggable solar engine (see solar-engines.js)
  */
 export class SolarCalculator {
-    constructor() {
+    /**
+     * @param {Object} engine - Solar engine (defaults to the one selected in CONFIG.solarEngine)
+     */
+    constructor(engine = createSolarEngine()) {
         this.cache = new Map();
+        this.engine = engine;
     }
 
     /**
-     * Get sun azimuth for given date, time, and location
+     * Switch solar engine
+     * @param {Object} engine - Solar engine
+     */
+    setEngine(engine) {
+        this.engine = engine;
+        this.clearCache();
+    }
+
+    /**
+     * Get sunrise or sunset event for given date and location
      * @param {Date} date - Target date
      * @param {number} lat - Latitude
      * @param {number} lng - Longitude
      * @param {boolean} isSunrise - True for sunrise, false for sunset
-     * @returns {number} Sun azimuth in degrees (0-360)
+     * @param {Object} eventOptions - Event definition
+     * @param {number} eventOptions.altitude - Altitude of the sun's centre at the event, in degrees
+     * @param {Object} [eventOptions.horizon] - Terrain HorizonProfile; the event happens when the sun clears it
+     * @param {Object} [eventOptions.observer] - {height, temperature, pressure} for horizon dip and refraction
+     * @returns {Object} {status, azimuth, time} where azimuth/time are null unless status is NORMAL
      */
-    getSunAzimuth(date, lat, lng, isSunrise = true) {
-        const cacheKey = `${date.toDateString()}_${lat.toFixed(6)}_${lng.toFixed(6)}_${isSunrise}`;
+    getSunEvent(date, lat, lng, isSunrise = true, eventOptions = {}) {
+        const { horizon = null, observer = null } = eventOptions;
+        const cacheKey = `${date.toDateString()}_${lat.toFixed(6)}_${lng.toFixed(6)}_${isSunrise}_${this.getEventOptionsKey(eventOptions)}`;
         
         if (this.cache.has(cacheKey)) {
             return this.cache.get(cacheKey);
         }
 
-        try {
-            // Get sun times for the date and location
-            const times = SunCalc.getTimes(date, lat, lng);
-            const targetTime = isSunrise ? times.sunrise : times.sunset;
-
-            if (!targetTime || isNaN(targetTime.getTime())) {
-                console.warn('Invalid sun time calculated, using noon as fallback');
-                const noon = new Date(date);
-                noon.setHours(12, 0, 0, 0);
-                const position = SunCalc.getPosition(noon, lat, lng);
-                return this.normalizeAzimuth(position.azimuth);
+        // A terrain profile already includes the observer's height, so only refraction changes there.
+        // Rounded to match the precision of the cache key.
+        const baseAltitude = eventOptions.altitude ?? STANDARD_HORIZON_ALTITUDE;
+        const altitude = Math.round(getObserverEventAltitude(baseAltitude, observer, !horizon) * 10000) / 10000;
+
+        // Get the event time for the date and location
+        const solarNoon = this.engine.getSolarNoon(date, lat, lng);
+        const targetTime = this.engine.getEventTime(date, lat, lng, altitude, isSunrise);
+
+        let event;
+
+        if (!targetTime) {
+            // No crossing of the event altitude today: the sun stays above or below it
+            event = {
+                status: this.getPolarStatus(solarNoon, lat, lng, altitude),
+                azimuth: null,
+                time: null
+            };
+        } else if (horizon) {
+            // Move the event to when the sun actually clears (or sinks behind) the terrain
+            const terrainTime = this.findTerrainCrossing(targetTime, solarNoon, lat, lng, isSunrise, altitude, horizon);
+            event = terrainTime ?
+                this.createEvent(terrainTime, lat, lng) :
+                { status: SUN_EVENT_STATUS.TERRAIN_BLOCKED, azimuth: null, time: null };
+        } else {
+            event = this.createEvent(targetTime, lat, lng);
+        }
+
+        // Cache the result
+        this.cache.set(cacheKey, event);
+
+        return event;
+    }
+
+    /**
+     * Create a normal sun event at a given instant
+     * @param {Date} time - Event time
+     * @param {number} lat - Latitude
+     * @param {number} lng - Longitude
+     * @returns {Object} {status, azimuth, time}
+     */
+    createEvent(time, lat, lng) {
+        const position = this.engine.getPosition(time, lat, lng);
+        return {
+            status: SUN_EVENT_STATUS.NORMAL,
+            azimuth: position.azimuth,
+            time: time
+        };
+    }
+
+    /**
+     * Find when the sun crosses the terrain horizon near a flat-horizon sunrise/sunset.
+     * Scans from just before the flat event towards solar noon, then bisects the crossing.
+     * @param {Date} flatTime - Flat-horizon event time
+     * @param {Date} solarNoon - Solar noon of the same day
+     * @param {number} lat - Latitude
+     * @param {number} lng - Longitude
+     * @param {boolean} isSunrise - True for sunrise, false for sunset
+     * @param {number} altitude - Event altitude relative to the horizon, in degrees
+     * @param {Object} horizon - HorizonProfile
+     * @returns {Date|null} Crossing time, or null if the sun never clears the terrain
+     */
+    findTerrainCrossing(flatTime, solarNoon, lat, lng, isSunrise, altitude, horizon) {
+        const direction = isSunrise ? 1 : -1;
+        const stepMs = CONFIG.terrain.scanStepMinutes * 60000;
+
+        // Positive once the sun is clear of the terrain in its current direction
+        const clearance = (time) => {
+            const position = this.engine.getPosition(time, lat, lng);
+            return position.altitude - altitude - horizon.altitudeAt(position.azimuth);
+        };
+
+        // Terrain can also dip below the flat horizon (e.g. from a hilltop), so start early
+        let hiddenTime = new Date(flatTime.getTime() - direction * CONFIG.terrain.preEventScanMinutes * 60000);
+        if (clearance(hiddenTime) >= 0) {
+            return hiddenTime;
+        }
+
+        const scanEnd = solarNoon.getTime();
+        let visibleTime = null;
+
+        for (let t = hiddenTime.getTime() + direction * stepMs; direction * (scanEnd - t) >= 0; t += direction * stepMs) {
+            const time = new Date(t);
+            if (clearance(time) >= 0) {
+                visibleTime = time;
+                break;
+            }
+            hiddenTime = time;
+        }
+
+        if (!visibleTime) {
+            return null;
+        }
+
+        // Bisect down to about a second
+        while (Math.abs(visibleTime - hiddenTime) > 1000) {
+            const mid = new Date((visibleTime.getTime() + hiddenTime.getTime()) / 2);
+            if (clearance(mid) >= 0) {
+                visibleTime = mid;
+            } else {
+                hiddenTime = mid;
             }
+        }
+
+        return visibleTime;
+    }
+
+    /**
+     * Build a compact cache key for event options
+     * @param {Object} eventOptions - Event definition (see getSunEvent)
+     * @returns {string} Cache key fragment
+     */
+    getEventOptionsKey(eventOptions = {}) {
+        const { altitude = STANDARD_HORIZON_ALTITUDE, horizon = null, observer = null } = eventOptions;
+        return `${this.engine.name}_${altitude.toFixed(4)}_${horizon ? horizon.id : 'flat'}_${this.getObserverKey(observer)}`;
+    }
+
+    /**
+     * Build a compact cache key for observer conditions
+     * @param {Object|null} observer - {height, temperature, pressure}
+     * @returns {string} Cache key fragment
+     */
+    getObserverKey(observer) {
+        if (!observer) {
+            return 'std';
+        }
+        const { height = 0, temperature = CONFIG.observer.temperature, pressure = CONFIG.observer.pressure } = observer;
+        return `${height}_${temperature}_${pressure}`;
+    }
 
-            // Get sun position at target time
-            const position = SunCalc.getPosition(targetTime, lat, lng);
-            const azimuth = this.normalizeAzimuth(position.azimuth);
+    /**
+     * Get sun azimuth for given date, time, and location
+     * @param {Date} date - Target date
+     * @param {number} lat - Latitude
+     * @param {number} lng - Longitude
+     * @param {boolean} isSunrise - True for sunrise, false for sunset
+     * @param {Object} eventOptions - Event definition (see getSunEvent)
+     * @returns {number|null} Sun azimuth in degrees (0-360), or null during polar day/night
+     */
+    getSunAzimuth(date, lat, lng, isSunrise = true, eventOptions = {}) {
+        return this.getSunEvent(date, lat, lng, isSunrise, eventOptions).azimuth;
+    }
 
-            // Cache the result
-            this.cache.set(cacheKey, azimuth);
+    /**
+     * Decide between polar day and polar night for a day without sunrise/sunset
+     * @param {Date} solarNoon - Solar noon of the day
+     * @param {number} lat - Latitude
+     * @param {number} lng - Longitude
+     * @param {number} altitude - Event altitude in degrees
+     * @returns {string} SUN_EVENT_STATUS.POLAR_DAY or SUN_EVENT_STATUS.POLAR_NIGHT
+     */
+    getPolarStatus(solarNoon, lat, lng, altitude = STANDARD_HORIZON_ALTITUDE) {
+        const noonAltitude = this.engine.getPosition(solarNoon, lat, lng).altitude;
+        return noonAltitude > altitude ?
+            SUN_EVENT_STATUS.POLAR_DAY :
+            SUN_EVENT_STATUS.POLAR_NIGHT;
+    }
 
-            return azimuth;
+    /**
+     * Get sun position at an exact instant
+     * @param {Date} time - Exact instant to evaluate
+     * @param {number} lat - Latitude
+     * @param {number} lng - Longitude
+     * @returns {Object|null} {azimuth, altitude, isAboveHorizon, time} in degrees
+     */
+    getSunPositionAt(time, lat, lng) {
+        if (!time || isNaN(time.getTime())) {
+            return null;
+        }
+
+        const cacheKey = `at_${this.engine.name}_${time.getTime()}_${lat.toFixed(6)}_${lng.toFixed(6)}`;
+
+        if (this.cache.has(cacheKey)) {
+            return this.cache.get(cacheKey);
+        }
+
+        try {
+            const { azimuth, altitude } = this.engine.getPosition(time, lat, lng);
+            const result = {
+                azimuth: azimuth,
+                altitude: altitude,
+                isAboveHorizon: altitude > 0,
+                time: time
+            };
+
+            this.cache.set(cacheKey, result);
+
+            return result;
         } catch (error) {
-            console.error('Error calculating sun azimuth:', error);
-            return 180; // Default to south
+            console.error('Error calculating sun position:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Get the sun's path across the sky for one day
+     * @param {Date} date - Any instant within the target day
+     * @param {number} lat - Latitude
+     * @param {number} lng - Longitude
+     * @param {Object} eventOptions - Sun event definition for the sunrise/sunset rays (see getSunEvent)
+     * @param {string|null} timeZone - IANA zone whose full hours get tick marks (browser zone if null)
+     * @returns {Object} {date, status, sunrise, sunset, points, hourly}; points/hourly are {time, azimuth, altitude}
+     */
+    getSunPath(date, lat, lng, eventOptions = {}, timeZone = null) {
+        const sunrise = this.getSunEvent(date, lat, lng, true, eventOptions);
+        const sunset = this.getSunEvent(date, lat, lng, false, eventOptions);
+        const solarNoon = this.engine.getSolarNoon(date, lat, lng);
+
+        const halfDayMs = 12 * 60 * 60 * 1000;
+        const start = solarNoon.getTime() - halfDayMs;
+        const end = solarNoon.getTime() + halfDayMs;
+
+        const points = [];
+        for (let t = start; t <= end; t += CONFIG.sunPath.stepMinutes * 60000) {
+            points.push(this.getPathPoint(new Date(t), lat, lng));
+        }
+
+        // Align ticks with full hours on the location's clock (offsets may be fractional hours)
+        const offsetMinutes = timeZone ? getTimeZoneOffset(solarNoon, timeZone) : -solarNoon.getTimezoneOffset();
+        const hourMs = 60 * 60 * 1000;
+        const firstHour = Math.ceil((start + offsetMinutes * 60000) / hourMs) * hourMs - offsetMinutes * 60000;
+
+        const hourly = [];
+        for (let t = firstHour; t <= end; t += hourMs) {
+            hourly.push(this.getPathPoint(new Date(t), lat, lng));
+        }
+
+        return {
+            date,
+            status: sunrise.status,
+            sunrise: sunrise.status === SUN_EVENT_STATUS.NORMAL ? sunrise : null,
+            sunset: sunset.status === SUN_EVENT_STATUS.NORMAL ? sunset : null,
+            points,
+            hourly
+        };
+    }
+
+    /**
+     * Get sun paths on the June and December solstices, which bound every other day's path
+     * @param {number} year - Calendar year
+     * @param {number} lat - Latitude
+     * @param {number} lng - Longitude
+     * @param {Object} eventOptions - Sun event definition (see getSunEvent)
+     * @param {string|null} timeZone - IANA zone of the location
+     * @returns {Object} {june, december} sun paths
+     */
+    getSolsticePaths(year, lat, lng, eventOptions = {}, timeZone = null) {
+        // The solstices fall on June 20-21 and December 21-22; a day either way barely moves the path
+        const dayOf = (month, day) => timeZone ?
+            zonedTimeToDate(year, month, day, 12, 0, timeZone) :
+            new Date(year, month - 1, day, 12);
+
+        return {
+            june: this.getSunPath(dayOf(6, 21), lat, lng, eventOptions, timeZone),
+            december: this.getSunPath(dayOf(12, 21), lat, lng, eventOptions, timeZone)
+        };
+    }
+
+    /**
+     * Get an uncached sun position sample for path drawing
+     * @param {Date} time - Instant
+     * @param {number} lat - Latitude
+     * @param {number} lng - Longitude
+     * @returns {Object} {time, azimuth, altitude} in degrees
+     */
+    getPathPoint(time, lat, lng) {
+        const { azimuth, altitude } = this.engine.getPosition(time, lat, lng);
+        return { time, azimuth, altitude };
+    }
+
+    /**
+     * Compare all solar engines for one date and location
+     * @param {Date} date - Target date
+     * @param {number} lat - Latitude
+     * @param {number} lng - Longitude
+     * @param {Object} eventOptions - Sun event definition (see getSunEvent)
+     * @param {Date|null} time - Optional exact instant to compare positions at (time of day mode)
+     * @returns {Object} {engines: labels, rows: [{label, values: [{time, azimuth, altitude}], timeDifference, azimuthDifference}]};
+     *     differences are the second engine minus the first, in seconds and degrees
+     */
+    compareEngines(date, lat, lng, eventOptions = {}, time = null) {
+        const calculators = Object.keys(SOLAR_ENGINES).map(name =>
+            name === this.engine.name ? this : new SolarCalculator(createSolarEngine(name))
+        );
+
+        const createRow = (label, values, compareTimes = true) => {
+            const [first, second] = values;
+            const hasTimes = compareTimes && first.time && second.time;
+            const hasAzimuths = first.azimuth !== null && second.azimuth !== null;
+
+            return {
+                label,
+                values,
+                timeDifference: hasTimes ? (second.time - first.time) / 1000 : null,
+                azimuthDifference: hasAzimuths ? ((second.azimuth - first.azimuth + 540) % 360) - 180 : null
+            };
+        };
+
+        const rows = [
+            createRow('Sunrise', calculators.map(calculator => {
+                const event = calculator.getSunEvent(date, lat, lng, true, eventOptions);
+                return { time: event.time, azimuth: event.azimuth, altitude: null };
+            })),
+            createRow('Solar noon', calculators.map(calculator => {
+                const noon = calculator.engine.getSolarNoon(date, lat, lng);
+                return { time: noon, ...calculator.engine.getPosition(noon, lat, lng) };
+            })),
+            createRow('Sunset', calculators.map(calculator => {
+                const event = calculator.getSunEvent(date, lat, lng, false, eventOptions);
+                return { time: event.time, azimuth: event.azimuth, altitude: null };
+            }))
+        ];
+
+        if (time) {
+            rows.push(createRow('Selected time', calculators.map(calculator => {
+                const position = calculator.getSunPositionAt(time, lat, lng);
+                return { time, azimuth: position.azimuth, altitude: position.altitude };
+            }), false));
         }
+
+        return {
+            engines: calculators.map(calculator => calculator.engine.label),
+            rows
+        };
     }
 
     /**
@@ -66,24 +400,6 @@ export class SolarCalculator {
         }
     }
 
-    /**
-     * Convert SunCalc azimuth (radians, south-based) to degrees (north-based)
-     * @param {number} azimuth - Azimuth in radians from SunCalc
-     * @returns {number} Azimuth in degrees (0-360, north-based)
-     */
-    normalizeAzimuth(azimuth) {
-        // SunCalc returns azimuth in radians, measured from south
-        // Convert to degrees and adjust to be measured from north
-        let degrees = azimuth * (180 / Math.PI);
-        degrees = degrees + 180; // Convert from south-based to north-based
-        
-        // Ensure 0-360 range
-        while (degrees < 0) degrees += 360;
-        while (degrees >= 360) degrees -= 360;
-        
-        return degrees;
-    }
-
     /**
      * Get current sun position for real-time display
      * @param {number} lat - Latitude
@@ -93,10 +409,10 @@ export class SolarCalculator {
     getCurrentSunPosition(lat, lng) {
         const now = new Date();
         try {
-            const position = SunCalc.getPosition(now, lat, lng);
+            const { azimuth, altitude } = this.engine.getPosition(now, lat, lng);
             return {
-                azimuth: this.normalizeAzimuth(position.azimuth),
-                altitude: position.altitude * (180 / Math.PI), // Convert to degrees
+                azimuth: azimuth,
+                altitude: altitude,
                 time: now
             };
         } catch (error) {
@@ -119,12 +435,17 @@ export class SolarCalculator {
     /**
      * Format time for display
      * @param {Date} time - Time to format
+     * @param {string} [timeZone] - IANA zone to display in, labelled (browser zone if omitted)
      * @returns {string} Formatted time string
      */
-    formatTime(time) {
+    formatTime(time, timeZone) {
         if (!time || isNaN(time.getTime())) {
             return 'N/A';
         }
+
+        if (timeZone) {
+            return formatZonedTime(time, timeZone);
+        }
         
         return time.toLocaleTimeString([], { 
             hour: '2-digit', 
@@ -1,6 +1,120 @@
-import { CONFIG, OVERPASS_QUERY_TEMPLATE } from '../utils/constants.js';
-import { processStreetSegments, batchStraightSegments } from '../utils/geometry.js';
-import { streetCache } from '../utils/cache.js';
+import { CONFIG, OVERPASS_QUERY_TEMPLATE, OVERPASS_WAY_TEMPLATE } from '../utils/constants.js';
+import { processStreetSegments, batchStraightSegments, getSegmentCenter } from '../utils/geometry.js';
+import { streetCache, streetStore } from '../utils/cache.js';
+import { loadStreetFile } from '../utils/street-import.js';
+
+/**
+ * Kinds of Overpass API failure
+ */
+export const OVERPASS_ERROR = {
+    RATE_LIMITED: 'rateLimited',  // HTTP 429
+    TIMEOUT: 'timeout',           // No answer within CONFIG.api.requestTimeout, or the query timed out on the server
+    OVERLOADED: 'overloaded',     // HTTP 5xx, or the server ran out of memory
+    BAD_QUERY: 'badQuery',        // HTTP 400: the server rejected the query
+    UNAVAILABLE: 'unavailable'    // Network failure or an unusable response
+};
+
+/**
+ * Overpass API request failure
+ */
+export class OverpassError extends Error {
+    /**
+     * @param {string} type - OVERPASS_ERROR value
+     * @param {string} message - Error message
+     * @param {Object} details - {status, retryAfter}: HTTP status and Retry-After in seconds, when known
+     */
+    constructor(type, message, { status = null, retryAfter = null } = {}) {
+        super(message);
+        this.name = 'OverpassError';
+        this.type = type;
+        this.status = status;
+        this.retryAfter = retryAfter;
+    }
+
+    /**
+     * Check if the request may succeed when sent again (possibly to another mirror)
+     * @returns {boolean} True unless the query itself was rejected
+     */
+    isRetryable() {
+        return this.type !== OVERPASS_ERROR.BAD_QUERY;
+    }
+}
+
+/**
+ * Parse a Retry-After header
+ * @param {string|null} value - Delay in seconds or an HTTP date
+ * @returns {number|null} Delay in seconds, or null if missing or unreadable
+ */
+function parseRetryAfter(value) {
+    if (!value) return null;
+
+    if (/^\d+$/.test(value.trim())) {
+        return parseInt(value, 10);
+    }
+
+    const date = Date.parse(value);
+    return isNaN(date) ? null : Math.max(0, Math.ceil((date - Date.now()) / 1000));
+}
+
+/**
+ * Wait before retrying
+ * @param {number} delay - Delay in ms
+ * @param {AbortSignal} signal - Ends the wait with an AbortError when aborted
+ * @returns {Promise<void>}
+ */
+function wait(delay, signal) {
+    return new Promise((resolve, reject) => {
+        if (signal.aborted) {
+            reject(new DOMException('Request cancelled', 'AbortError'));
+            return;
+        }
+
+        const onAbort = () => {
+            clearTimeout(timer);
+            reject(new DOMException('Request cancelled', 'AbortError'));
+        };
+        const timer = setTimeout(() => {
+            signal.removeEventListener('abort', onAbort);
+            resolve();
+        }, delay);
+        signal.addEventListener('abort', onAbort, { once: true });
+    });
+}
+
+/**
+ * Format a street filter tag condition as an Overpass query clause
+ * @param {Object} condition - {key, excludedValues} from CONFIG.streets.tagFilters
+ * @returns {string} Clause such as ["name"] or ["access"!~"^(private|no)$"]
+ */
+function formatTagCondition({ key, excludedValues }) {
+    return excludedValues ? `["${key}"!~"^(${excludedValues.join('|')})$"]` : `["${key}"]`;
+}
+
+/**
+ * Check a way's tags against a street filter tag condition
+ * @param {Object} tags - OSM tags
+ * @param {Object} condition - {key, excludedValues} from CONFIG.streets.tagFilters
+ * @returns {boolean} True if the way passes
+ */
+function matchesTagCondition(tags, { key, excludedValues }) {
+    return excludedValues ? !excludedValues.includes(tags[key]) : tags[key] !== undefined;
+}
+
+/**
+ * Get the bounding box of a way
+ * @param {Object} way - Overpass way with geometry [{lat, lon}]
+ * @returns {Object} {north, south, east, west}
+ */
+function getWayExtent(way) {
+    const extent = { north: -90, south: 90, east: -180, west: 180 };
+    way.geometry.forEach(({ lat, lon }) => {
+        extent.north = Math.max(extent.north, lat);
+        extent.south = Math.min(extent.south, lat);
+        extent.east = Math.max(extent.east, lon);
+        extent.west = Math.min(extent.west, lon);
+    });
+    return extent;
+}
 
 /**
  * Street data fetching and processing
@@ -9,20 +123,111 @@ export class StreetDataManager {
     constructor() {
         this.isLoading = false;
         this.abortController = null;
+        this.mirrorBlockedUntil = new Map(); // Overpass URL → time (ms) before which it should not be asked again
+        this.mirrorIndex = 0; // Mirror that answered last, tried first
+        this.segments = []; // Batched segments of the last completed fetch
+        this.waySegments = new WeakMap(); // Way element → its batched segments, so shared ways are processed once
+        this.storageWrite = Promise.resolve(); // Last write of fetched tiles to persistent storage
+        this.filter = {
+            types: [...CONFIG.streets.includedTypes],
+            tags: [...CONFIG.streets.defaultTagFilters]
+        };
+        this.importedData = null; // {name, elements, bounds, segmentsByFilter} while streets come from a file
+    }
+
+    /**
+     * Set the street filter used by later fetches
+     * @param {Object} filter - {types, tags}: highway types and CONFIG.streets.tagFilters names
+     */
+    setFilter(filter) {
+        this.filter = {
+            types: filter.types.filter(type => CONFIG.streets.availableTypes.includes(type)),
+            tags: filter.tags.filter(tag => CONFIG.streets.tagFilters[tag])
+        };
     }
 
     /**
-     * Fetch street data for given bounds
+     * Get a cache key for a street filter
+     * @param {Object} filter - {types, tags}
+     * @returns {string} Key, independent of selection order
+     */
+    getFilterKey(filter = this.filter) {
+        return `${[...filter.types].sort().join(',')};${[...filter.tags].sort().join(',')}`;
+    }
+
+    /**
+     * Fetch street data for given bounds, from the imported file when one is loaded
      * @param {Object} bounds - Map bounds {north, south, east, west}
      * @returns {Promise<Array>} Array of street segments
      */
     async fetchStreetData(bounds) {
-        const cacheKey = streetCache.getBoundsKey(bounds);
-        
-        // Check cache first
-        if (streetCache.has(cacheKey)) {
-            console.log('Using cached street data');
-            return streetCache.get(cacheKey);
+        const filter = this.filter;
+
+        if (this.importedData) {
+            this.segments = this.getSegmentsInBounds(bounds, this.getImportedSegments(filter));
+            return this.segments;
+        }
+
+        const tiles = await this.fetchTiles(bounds, filter);
+        if (tiles === null) {
+            return [];
+        }
+
+        this.segments = this.assembleTiles(tiles, filter);
+        return this.segments;
+    }
+
+    /**
+     * Get the street tiles covering bounds
+     * @param {Object} bounds - Map bounds {north, south, east, west}
+     * @param {Object} filter - Street filter {types, tags}
+     * @returns {Array} Tiles {row, col, key, bounds}; keys include the filter so selections never mix
+     */
+    getTilesInBounds(bounds, filter = this.filter) {
+        const size = CONFIG.streets.tiles.size;
+        const filterKey = this.getFilterKey(filter);
+        const toDegrees = (index) => Number((index * size).toFixed(6));
+        const tiles = [];
+
+        for (let row = Math.floor(bounds.south / size); row <= Math.floor(bounds.north / size); row++) {
+            for (let col = Math.floor(bounds.west / size); col <= Math.floor(bounds.east / size); col++) {
+                tiles.push({
+                    row,
+                    col,
+                    key: `${filterKey}|${row}_${col}`,
+                    bounds: { south: toDegrees(row), north: toDegrees(row + 1), west: toDegrees(col), east: toDegrees(col + 1) }
+                });
+            }
+        }
+
+        return tiles;
+    }
+
+    /**
+     * Get the processed segments of every tile covering bounds from memory, then persistent storage, fetching
+     * those missing from both in one request
+     * @param {Object} bounds - Map bounds {north, south, east, west}
+     * @param {Object} filter - Street filter {types, tags}
+     * @returns {Promise<Array|null>} Batched segments of each tile (tiles share the segments of ways crossing
+     *     their borders), or null if the request was cancelled
+     */
+    async fetchTiles(bounds, filter) {
+        const tiles = this.getTilesInBounds(bounds, filter);
+        const maxAge = CONFIG.storage.maxAgeDays * 24 * 60 * 60 * 1000;
+
+        // Promote tiles stored in an earlier session into memory, keeping their age
+        await Promise.all(tiles.filter(tile => !streetCache.has(tile.key, maxAge)).map(async tile => {
+            const stored = await streetStore.get(tile.key, maxAge);
+            if (stored) {
+                streetCache.set(tile.key, stored.data, stored.timestamp);
+            }
+        }));
+
+        const missing = tiles.filter(tile => !streetCache.has(tile.key, maxAge));
+
+        if (missing.length === 0) {
+            console.log(`Using ${tiles.length} cached street tiles`);
+            return tiles.map(tile => streetCache.get(tile.key));
         }
 
         // Cancel any ongoing request
@@ -30,70 +235,290 @@ export class StreetDataManager {
             this.abortController.abort();
         }
 
-        this.abortController = new AbortController();
+        const controller = new AbortController();
+        this.abortController = controller;
         this.isLoading = true;
 
         try {
-            console.log('Fetching street data from Overpass API...');
-            
-            const query = this.buildOverpassQuery(bounds);
-            const response = await fetch(CONFIG.api.overpassUrl, {
+            console.log(`Fetching ${missing.length} of ${tiles.length} street tiles from Overpass API...`);
+
+            const query = this.buildOverpassQuery(this.mergeTileRows(missing), filter);
+            const data = await this.requestOverpass(query, controller.signal);
+            const ways = (data.elements || []).filter(element => element.type === 'way' && element.geometry);
+            console.log(`Received ${ways.length} ways from Overpass API`);
+            this.processOsmData({ elements: ways });
+
+            // File each way's segments under every requested tile its extent touches
+            const segmentsByTile = new Map(missing.map(tile => [tile.key, []]));
+            ways.forEach(way => {
+                const extent = getWayExtent(way);
+                missing.forEach(tile => {
+                    if (extent.south <= tile.bounds.north && extent.north >= tile.bounds.south &&
+                        extent.west <= tile.bounds.east && extent.east >= tile.bounds.west) {
+                        segmentsByTile.get(tile.key).push(...this.waySegments.get(way));
+                    }
+                });
+            });
+            segmentsByTile.forEach((tileSegments, key) => streetCache.set(key, tileSegments));
+
+            // Storage is best effort and must not hold up the map
+            this.storageWrite = streetStore.setMany([...segmentsByTile])
+                .catch(error => console.warn('Failed to store street tiles:', error));
+
+            return tiles.map(tile => segmentsByTile.get(tile.key) || streetCache.get(tile.key));
+
+        } catch (error) {
+            if (error.name === 'AbortError') {
+                console.log('Street data request was cancelled');
+                return null;
+            }
+
+            console.error('Error fetching street data:', error);
+            throw error;
+        } finally {
+            // A newer fetch may have taken over in the meantime
+            if (this.abortController === controller) {
+                this.isLoading = false;
+                this.abortController = null;
+            }
+        }
+    }
+
+    /**
+     * Merge runs of neighbouring tiles in the same row into single boxes, keeping the query short
+     * @param {Array} tiles - Tiles {row, col, bounds}
+     * @returns {Array} Bounding boxes {north, south, east, west}
+     */
+    mergeTileRows(tiles) {
+        const sorted = [...tiles].sort((a, b) => a.row - b.row || a.col - b.col);
+        const boxes = [];
+        let previous = null;
+
+        sorted.forEach(tile => {
+            if (previous && previous.row === tile.row && previous.col === tile.col - 1) {
+                boxes[boxes.length - 1].east = tile.bounds.east;
+            } else {
+                boxes.push({ ...tile.bounds });
+            }
+            previous = tile;
+        });
+
+        return boxes;
+    }
+
+    /**
+     * Build the current view from tile segments, keeping each OSM way's segments once
+     * @param {Array} tiles - Batched segments of each tile from fetchTiles
+     * @param {Object} filter - Street filter {types, tags}
+     * @returns {Array} Batched street segments
+     */
+    assembleTiles(tiles, filter) {
+        const seenWays = new Set();
+        const segments = [];
+
+        tiles.forEach(tileSegments => {
+            // A way crossing tile borders has all its segments in each tile; take them from the first one
+            const tileWays = new Set();
+            tileSegments.forEach(segment => {
+                if (!seenWays.has(segment.osmId)) {
+                    segments.push(segment);
+                    tileWays.add(segment.osmId);
+                }
+            });
+            tileWays.forEach(id => seenWays.add(id));
+        });
+
+        return this.filterSegmentsByType(segments, filter.types);
+    }
+
+    /**
+     * Send a query to the Overpass API, failing over between mirrors
+     * A failed mirror is not asked again until its Retry-After has passed or, without one, for an exponentially
+     * growing backoff; the next attempt goes to a mirror that is free, or waits for the first to become free
+     * @param {string} query - Overpass query
+     * @param {AbortSignal} signal - Cancels the request and any pending retry
+     * @returns {Promise<Object>} Overpass JSON response
+     */
+    async requestOverpass(query, signal) {
+        const { overpassUrls, maxRetries, retryBaseDelay, maxRetryDelay } = CONFIG.api;
+        let lastError = null;
+
+        for (let attempt = 0; attempt <= maxRetries; attempt++) {
+            const index = this.pickOverpassMirror();
+            const url = overpassUrls[index];
+            const delay = (this.mirrorBlockedUntil.get(url) || 0) - Date.now();
+
+            if (delay > maxRetryDelay) {
+                throw lastError || new OverpassError(OVERPASS_ERROR.RATE_LIMITED, 'All Overpass servers asked to wait before retrying', {
+                    retryAfter: Math.ceil(delay / 1000)
+                });
+            }
+            if (delay > 0) {
+                console.log(`Waiting ${delay} ms before retrying on ${url}`);
+                await wait(delay, signal);
+            }
+
+            try {
+                const data = await this.postOverpassQuery(url, query, signal);
+                this.mirrorIndex = index;
+                this.mirrorBlockedUntil.delete(url);
+                return data;
+            } catch (error) {
+                if (!(error instanceof OverpassError) || !error.isRetryable()) {
+                    throw error;
+                }
+
+                console.warn(`Overpass request to ${url} failed (${error.type}): ${error.message}`);
+                const backoff = Math.min(retryBaseDelay * 2 ** attempt, maxRetryDelay);
+                const retryAfter = error.retryAfter !== null ? error.retryAfter * 1000 : 0;
+                this.mirrorBlockedUntil.set(url, Date.now() + Math.max(backoff, retryAfter));
+                lastError = error;
+            }
+        }
+
+        throw lastError;
+    }
+
+    /**
+     * Pick the Overpass mirror for the next attempt: the first free one starting from the last that answered,
+     * or else the one that becomes free soonest
+     * @returns {number} Index into CONFIG.api.overpassUrls
+     */
+    pickOverpassMirror() {
+        const urls = CONFIG.api.overpassUrls;
+        const now = Date.now();
+        let soonest = this.mirrorIndex % urls.length;
+
+        for (let i = 0; i < urls.length; i++) {
+            const index = (this.mirrorIndex + i) % urls.length;
+            const blockedUntil = this.mirrorBlockedUntil.get(urls[index]) || 0;
+
+            if (blockedUntil <= now) {
+                return index;
+            }
+            if (blockedUntil < this.mirrorBlockedUntil.get(urls[soonest])) {
+                soonest = index;
+            }
+        }
+
+        return soonest;
+    }
+
+    /**
+     * POST a query to one Overpass server, giving up after CONFIG.api.requestTimeout
+     * @param {string} url - Overpass interpreter URL
+     * @param {string} query - Overpass query
+     * @param {AbortSignal} signal - Cancels the request
+     * @returns {Promise<Object>} Overpass JSON response
+     */
+    async postOverpassQuery(url, query, signal) {
+        // The attempt's own controller follows the fetch's, and also fires on timeout
+        const controller = new AbortController();
+        const onAbort = () => controller.abort();
+        signal.addEventListener('abort', onAbort);
+
+        let timedOut = false;
+        const timer = setTimeout(() => {
+            timedOut = true;
+            controller.abort();
+        }, CONFIG.api.requestTimeout);
+
+        try {
+            const response = await fetch(url, {
                 method: 'POST',
                 body: query,
                 headers: {
                     'Content-Type': 'text/plain'
                 },
-                signal: this.abortController.signal
+                signal: controller.signal
             });
 
             if (!response.ok) {
-                throw new Error(`HTTP error! status: ${response.status}`);
+                throw this.createHttpError(response);
             }
 
-            const data = await response.json();
-            console.log(`Received ${data.elements?.length || 0} ways from Overpass API`);
+            let data;
+            try {
+                data = await response.json();
+            } catch (error) {
+                if (error.name === 'AbortError') throw error;
+                throw new OverpassError(OVERPASS_ERROR.UNAVAILABLE, `Invalid response: ${error.message}`);
+            }
 
-            // Process the OSM data into street segments
-            const segments = this.processOsmData(data);
-            
-            // Cache the results
-            streetCache.set(cacheKey, segments);
-            
-            return segments;
+            // Queries that fail while running still return 200, with the reason in a remark
+            if (data.remark && data.remark.includes('runtime error')) {
+                const type = /timed out/i.test(data.remark) ? OVERPASS_ERROR.TIMEOUT : OVERPASS_ERROR.OVERLOADED;
+                throw new OverpassError(type, data.remark);
+            }
+
+            return data;
 
         } catch (error) {
+            if (error instanceof OverpassError) {
+                throw error;
+            }
             if (error.name === 'AbortError') {
-                console.log('Street data request was cancelled');
-                return [];
+                if (timedOut && !signal.aborted) {
+                    throw new OverpassError(OVERPASS_ERROR.TIMEOUT, `No response within ${CONFIG.api.requestTimeout / 1000} s`);
+                }
+                throw error;
             }
-            
-            console.error('Error fetching street data:', error);
-            
-            // Try to return cached data as fallback
-            const fallbackData = streetCache.get(cacheKey);
-            if (fallbackData) {
-                console.log('Using fallback cached data');
-                return fallbackData;
-            }
-            
-            throw error;
+            throw new OverpassError(OVERPASS_ERROR.UNAVAILABLE, error.message);
         } finally {
-            this.isLoading = false;
-            this.abortController = null;
+            clearTimeout(timer);
+            signal.removeEventListener('abort', onAbort);
         }
     }
 
+    /**
+     * Create the error for an unsuccessful Overpass response
+     * @param {Response} response - HTTP response
+     * @returns {OverpassError} Typed error
+     */
+    createHttpError(response) {
+        const details = {
+            status: response.status,
+            retryAfter: parseRetryAfter(response.headers.get('Retry-After'))
+        };
+
+        if (response.status === 429) {
+            return new OverpassError(OVERPASS_ERROR.RATE_LIMITED, 'Too many requests', details);
+        }
+        if (response.status === 400) {
+            return new OverpassError(OVERPASS_ERROR.BAD_QUERY, 'Query rejected', details);
+        }
+        if (response.status >= 500) {
+            return new OverpassError(OVERPASS_ERROR.OVERLOADED, `Server error ${response.status}`, details);
+        }
+        return new OverpassError(OVERPASS_ERROR.UNAVAILABLE, `Unexpected HTTP status ${response.status}`, details);
+    }
+
     /**
      * Build Overpass API query string
-     * @param {Object} bounds - Map bounds
+     * @param {Object|Array} bounds - Map bounds, or several bounding boxes to fetch at once
+     * @param {Object} filter - Street filter {types, tags}
      * @returns {string} Overpass query
      */
-    buildOverpassQuery(bounds) {
-        return OVERPASS_QUERY_TEMPLATE
-            .replace('{south}', bounds.south)
-            .replace('{west}', bounds.west)
-            .replace('{north}', bounds.north)
-            .replace('{east}', bounds.east);
+    buildOverpassQuery(bounds, filter = this.filter) {
+        if (filter.types.length === 0) {
+            throw new Error('No street types selected');
+        }
+
+        const tagConditions = filter.tags
+            .flatMap(tag => CONFIG.streets.tagFilters[tag].conditions)
+            .map(condition => `\n    ${formatTagCondition(condition)}`)
+            .join('');
+
+        const statements = [].concat(bounds).map(box => OVERPASS_WAY_TEMPLATE
+            .replace('{includedTypes}', filter.types.join('|'))
+            .replace('{excludedTypes}', CONFIG.streets.excludedTypes.join('|'))
+            .replace('{tagConditions}', tagConditions)
+            .replace('{south}', box.south)
+            .replace('{west}', box.west)
+            .replace('{north}', box.north)
+            .replace('{east}', box.east));
+
+        return OVERPASS_QUERY_TEMPLATE.replace('{statements}', statements.join('\n'));
     }
 
     /**
@@ -109,24 +534,31 @@ export class StreetDataManager {
 
         const batchedSegments = [];
         let totalOriginalSegments = 0;
+        let processedWays = 0;
         
         osmData.elements.forEach(element => {
             if (element.type === 'way' && element.geometry) {
-                try {
-                    // Process way into individual segments
-                    const waySegments = processStreetSegments(element);
-                    totalOriginalSegments += waySegments.length;
-                    
-                    // Batch segments into straight sections
-                    const batched = batchStraightSegments(waySegments, CONFIG.streets.batching);
-                    batchedSegments.push(...batched);
-                } catch (error) {
-                    console.warn('Error processing OSM way:', element.id, error);
+                // Ways already processed for an earlier view (e.g. from a cached tile) are reused
+                if (!this.waySegments.has(element)) {
+                    let batched = [];
+                    try {
+                        // Process way into individual segments
+                        const waySegments = processStreetSegments(element);
+                        totalOriginalSegments += waySegments.length;
+
+                        // Batch segments into straight sections
+                        batched = batchStraightSegments(waySegments, CONFIG.streets.batching);
+                    } catch (error) {
+                        console.warn('Error processing OSM way:', element.id, error);
+                    }
+                    this.waySegments.set(element, batched);
+                    processedWays++;
                 }
+                batchedSegments.push(...this.waySegments.get(element));
             }
         });
 
-        console.log(`Processed ${totalOriginalSegments} original segments into ${batchedSegments.length} batched segments`);
+        console.log(`Processed ${totalOriginalSegments} original segments of ${processedWays} new ways; ${batchedSegments.length} batched segments in total`);
         console.log(`Filtering applied: min length ${CONFIG.streets.batching.minBatchLength}m, require batching: ${CONFIG.streets.batching.requireBatching}`);
         
         return batchedSegments;
@@ -145,6 +577,89 @@ export class StreetDataManager {
         });
     }
 
+    /**
+     * Check a way's tags against a street filter
+     * Lines without a highway tag (e.g. proposed layouts drawn in a GIS) pass the type selection
+     * @param {Object} tags - OSM tags
+     * @param {Object} filter - Street filter {types, tags}
+     * @returns {boolean} True if the way passes
+     */
+    matchesFilter(tags, filter = this.filter) {
+        const highway = tags.highway;
+        if (highway !== undefined && (!filter.types.includes(highway) || CONFIG.streets.excludedTypes.includes(highway))) {
+            return false;
+        }
+
+        return filter.tags.every(tag => CONFIG.streets.tagFilters[tag].conditions
+            .every(condition => matchesTagCondition(tags, condition)));
+    }
+
+    /**
+     * Import streets from a local file; they replace Overpass data until clearImport
+     * @param {File} file - .geojson/.json, .osm/.xml or .osm.pbf file
+     * @returns {Promise<Object>} {name, wayCount, bounds} of the imported streets
+     */
+    async importFile(file) {
+        const elements = await loadStreetFile(file);
+        if (elements.length === 0) {
+            throw new Error(`No streets found in ${file.name}`);
+        }
+
+        const bounds = getWayExtent({ geometry: elements.flatMap(element => element.geometry) });
+
+        this.cancelRequest();
+        this.importedData = { name: file.name, elements, bounds, segmentsByFilter: new Map() };
+        console.log(`Imported ${elements.length} ways from ${file.name}`);
+
+        return { name: file.name, wayCount: elements.length, bounds };
+    }
+
+    /**
+     * Go back to fetching streets from the Overpass API
+     */
+    clearImport() {
+        this.importedData = null;
+        this.segments = [];
+    }
+
+    /**
+     * Get the name of the imported street file
+     * @returns {string|null} File name, or null when streets come from the Overpass API
+     */
+    getImportName() {
+        return this.importedData ? this.importedData.name : null;
+    }
+
+    /**
+     * Get the batched segments of the imported ways that pass a street filter
+     * @param {Object} filter - Street filter {types, tags}
+     * @returns {Array} Batched street segments
+     */
+    getImportedSegments(filter) {
+        const key = this.getFilterKey(filter);
+        const { elements, segmentsByFilter } = this.importedData;
+
+        if (!segmentsByFilter.has(key)) {
+            const matching = elements.filter(element => this.matchesFilter(element.tags, filter));
+            segmentsByFilter.set(key, this.processOsmData({ elements: matching }));
+        }
+
+        return segmentsByFilter.get(key);
+    }
+
+    /**
+     * Get the batched segments whose center lies within bounds
+     * @param {Object} bounds - Map bounds {north, south, east, west}
+     * @param {Array} segments - Segments to pick from, by default those of the last completed fetch
+     * @returns {Array} Batched street segments
+     */
+    getSegmentsInBounds(bounds, segments = this.segments) {
+        return segments.filter(segment => {
+            const { lat, lng } = getSegmentCenter(segment);
+            return lat >= bounds.south && lat <= bounds.north && lng >= bounds.west && lng <= bounds.east;
+        });
+    }
+
     /**
      * Get loading status
      * @returns {boolean} True if currently loading
@@ -195,4 +710,29 @@ export class StreetDataManager {
     getCacheStats() {
         return streetCache.getStats();
     }
+
+    /**
+     * Wait for the last fetched tiles to be written to persistent storage
+     * @returns {Promise<void>}
+     */
+    waitForStorage() {
+        return this.storageWrite;
+    }
+
+    /**
+     * Get statistics of street data kept across sessions
+     * @returns {Promise<Object>} {available, count, bytes, quotaBytes}
+     */
+    getStorageStats() {
+        return streetStore.getStats();
+    }
+
+    /**
+     * Delete all cached and stored street tiles, so views are fetched again
+     * @returns {Promise<void>}
+     */
+    async clearStoredData() {
+        streetCache.clear();
+        await streetStore.clear();
+    }
 }
\ No newline at end of file
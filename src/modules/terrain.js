@@ -0,0 +1,170 @@
+import { CONFIG } from '../utils/constants.js';
+import { loadDemFile } from '../utils/dem.js';
+
+const EARTH_RADIUS = 6371000; // meters
+
+/**
+ * Visible horizon altitude around an observer, sampled at a fixed azimuth step
+ */
+export class HorizonProfile {
+    /**
+     * @param {string} id - Stable identifier used in cache keys
+     * @param {number} azimuthStep - Degrees between samples
+     * @param {Float32Array} altitudes - Horizon altitude in degrees for each azimuth sample
+     */
+    constructor(id, azimuthStep, altitudes) {
+        this.id = id;
+        this.azimuthStep = azimuthStep;
+        this.altitudes = altitudes;
+    }
+
+    /**
+     * Get interpolated horizon altitude in a direction
+     * @param {number} azimuth - Azimuth in degrees (0-360, north-based)
+     * @returns {number} Horizon altitude in degrees
+     */
+    altitudeAt(azimuth) {
+        const count = this.altitudes.length;
+        const position = (((azimuth % 360) + 360) % 360) / this.azimuthStep;
+        const index = Math.floor(position) % count;
+        const next = (index + 1) % count;
+        const fraction = position - Math.floor(position);
+
+        return this.altitudes[index] + (this.altitudes[next] - this.altitudes[index]) * fraction;
+    }
+}
+
+/**
+ * Terrain elevation data and horizon profile computation
+ */
+export class TerrainManager {
+    constructor() {
+        this.grids = [];
+        this.profileCache = new Map();
+    }
+
+    /**
+     * Load a DEM file and add it to the available terrain
+     * @param {File} file - .hgt or GeoTIFF file
+     * @returns {Promise<Object>} Loaded grid
+     */
+    async loadFile(file) {
+        const grid = await loadDemFile(file);
+
+        this.grids.push(grid);
+        this.profileCache.clear();
+
+        console.log(`Loaded DEM ${grid.name}: ${grid.width}x${grid.height}`, grid.bounds);
+        return grid;
+    }
+
+    /**
+     * Check if any elevation data has been loaded
+     * @returns {boolean} True if terrain is available
+     */
+    hasTerrain() {
+        return this.grids.length > 0;
+    }
+
+    /**
+     * Get terrain elevation from the first grid covering a location
+     * @param {number} lat - Latitude
+     * @param {number} lng - Longitude
+     * @returns {number|null} Elevation in meters, or null without coverage
+     */
+    getElevation(lat, lng) {
+        for (const grid of this.grids) {
+            const elevation = grid.getElevation(lat, lng);
+            if (elevation !== null) {
+                return elevation;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Get (cached) horizon profile for an observer location
+     * @param {number} lat - Latitude
+     * @param {number} lng - Longitude
+     * @param {number} raisedHeight - Extra height above the ground (rooftop, bridge deck) in meters
+     * @returns {HorizonProfile|null} Horizon profile, or null when the location has no elevation data
+     */
+    getHorizonProfile(lat, lng, raisedHeight = 0) {
+        const id = `horizon_${lat.toFixed(5)}_${lng.toFixed(5)}_${raisedHeight}`;
+
+        if (this.profileCache.has(id)) {
+            return this.profileCache.get(id);
+        }
+
+        const profile = this.computeHorizonProfile(id, lat, lng, raisedHeight);
+        this.profileCache.set(id, profile);
+
+        return profile;
+    }
+
+    /**
+     * March rays outward from the observer and record the steepest terrain angle in each direction
+     * @param {string} id - Profile identifier
+     * @param {number} lat - Latitude
+     * @param {number} lng - Longitude
+     * @param {number} raisedHeight - Extra height above the ground in meters
+     * @returns {HorizonProfile|null} Horizon profile
+     */
+    computeHorizonProfile(id, lat, lng, raisedHeight = 0) {
+        const groundElevation = this.getElevation(lat, lng);
+        if (groundElevation === null) {
+            return null;
+        }
+
+        const { azimuthStep, maxDistance, stepGrowth, refractionCoefficient, observerHeight } = CONFIG.terrain;
+        const observerElevation = groundElevation + observerHeight + raisedHeight;
+        const minStep = Math.min(...this.grids.map(grid => grid.getCellSize()));
+        const latRad = lat * (Math.PI / 180);
+        const altitudes = new Float32Array(Math.round(360 / azimuthStep));
+
+        for (let i = 0; i < altitudes.length; i++) {
+            const azimuthRad = i * azimuthStep * (Math.PI / 180);
+            const northFactor = Math.cos(azimuthRad) / EARTH_RADIUS * (180 / Math.PI);
+            const eastFactor = Math.sin(azimuthRad) / (EARTH_RADIUS * Math.cos(latRad)) * (180 / Math.PI);
+
+            let maxAngle = -90;
+            let distance = minStep;
+
+            while (distance <= maxDistance) {
+                const elevation = this.getElevation(lat + distance * northFactor, lng + distance * eastFactor);
+                if (elevation === null) break;
+
+                // Earth curvature lowers distant terrain; atmospheric refraction partly lifts it back
+                const drop = (distance * distance) / (2 * EARTH_RADIUS) * (1 - refractionCoefficient);
+                const angle = Math.atan2(elevation - drop - observerElevation, distance) * (180 / Math.PI);
+                if (angle > maxAngle) maxAngle = angle;
+
+                distance += Math.max(minStep, distance * stepGrowth);
+            }
+
+            // Directions without terrain data fall back to a flat horizon
+            altitudes[i] = maxAngle === -90 ? 0 : maxAngle;
+        }
+
+        return new HorizonProfile(id, azimuthStep, altitudes);
+    }
+
+    /**
+     * Remove all loaded terrain
+     */
+    clear() {
+        this.grids = [];
+        this.profileCache.clear();
+    }
+
+    /**
+     * Get loaded terrain summary
+     * @returns {Object} Terrain stats
+     */
+    getStats() {
+        return {
+            grids: this.grids.map(grid => ({ name: grid.name, bounds: grid.bounds })),
+            cachedProfiles: this.profileCache.size
+        };
+    }
+}
\ No newline at end of file
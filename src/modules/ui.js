@@ -1,5 +1,12 @@
 import { CONFIG } from '../utils/constants.js';
-import { generateHslGradient } from '../utils/colors.js';
+import { SUN_EVENT_STATUS } from './solar.js';
+import { OVERPASS_ERROR } from './streets.js';
+import { formatZonedDateValue, formatZonedTime, formatZonedDate } from '../utils/timezone.js';
+import { generateHslGradient, getCyclicColor } from '../utils/colors.js';
+import { describeScoring, getDefaultScoring } from '../utils/scoring.js';
+
+const MONTH_LABELS = ['J', 'F', 'M', 'A', 'M', 'J', 'J', 'A', 'S', 'O', 'N', 'D'];
+const MONTH_NAMES = ['January', 'February', 'March', 'April', 'May', 'June', 'July', 'August', 'September', 'October', 'November', 'December'];
 
 /**
  * UI component management and user interactions
@@ -21,7 +28,42 @@ export class UIManager {
         this.elements = {
             datePicker: document.getElementById('date-picker'),
             timeToggle: document.getElementById('time-toggle'),
+            colorMode: document.getElementById('color-mode'),
+            scoringFunction: document.getElementById('scoring-function'),
+            scoringSigma: document.getElementById('scoring-sigma'),
+            scoringSigmaLabel: document.getElementById('scoring-sigma-label'),
+            scoringTolerance: document.getElementById('scoring-tolerance'),
+            scoringToleranceLabel: document.getElementById('scoring-tolerance-label'),
+            alignedDaysGroup: document.getElementById('aligned-days-group'),
+            alignedDaysThreshold: document.getElementById('aligned-days-threshold'),
+            streetFilterSummary: document.getElementById('street-filter-summary'),
+            streetFilterTypes: document.getElementById('street-filter-types'),
+            streetFilterTags: document.getElementById('street-filter-tags'),
+            streetFile: document.getElementById('street-file'),
+            clearStreetImportButton: document.getElementById('clear-street-import'),
+            streetStorageUsage: document.getElementById('street-storage-usage'),
+            clearStreetStorageButton: document.getElementById('clear-street-storage'),
+            timeSlider: document.getElementById('time-slider'),
+            timeSliderValue: document.getElementById('time-slider-value'),
+            timeSliderGroup: document.getElementById('time-slider-group'),
+            sunEvent: document.getElementById('sun-event'),
+            sunEventGroup: document.getElementById('sun-event-group'),
+            sunAltitude: document.getElementById('sun-altitude'),
+            sunAltitudeGroup: document.getElementById('sun-altitude-group'),
+            observerGroup: document.getElementById('observer-group'),
+            observerHeight: document.getElementById('observer-height'),
+            airTemperature: document.getElementById('air-temperature'),
+            airPressure: document.getElementById('air-pressure'),
+            demFile: document.getElementById('dem-file'),
+            useTerrain: document.getElementById('use-terrain'),
+            sunPathToggle: document.getElementById('sun-path-toggle'),
             updateButton: document.getElementById('update-map'),
+            compareEnginesButton: document.getElementById('compare-engines'),
+            engineComparison: document.getElementById('engine-comparison'),
+            calendarAlarm: document.getElementById('calendar-alarm'),
+            findNextAlignmentsButton: document.getElementById('find-next-alignments'),
+            nextAlignments: document.getElementById('next-alignments'),
+            exportCalendarButton: document.getElementById('export-calendar'),
             map: document.getElementById('map')
         };
 
@@ -48,7 +90,7 @@ export class UIManager {
      * @returns {boolean} True if all elements found
      */
     validateElements() {
-        const required = ['datePicker', 'timeToggle', 'updateButton', 'map'];
+        const required = ['datePicker', 'timeToggle', 'timeSlider', 'sunEvent', 'sunAltitude', 'updateButton', 'map'];
         const missing = required.filter(key => !this.elements[key]);
         
         if (missing.length > 0) {
@@ -65,10 +107,49 @@ export class UIManager {
     setDefaultValues() {
         // Set date picker to today
         const today = new Date();
-        this.elements.datePicker.value = today.toISOString().split('T')[0];
+        this.elements.datePicker.value = this.formatDateValue(today);
         
         // Set default to sunrise
         this.elements.timeToggle.value = 'sunrise';
+
+        // Set up time of day slider
+        this.elements.timeSlider.step = CONFIG.timeOfDay.stepMinutes;
+        this.elements.timeSlider.value = CONFIG.timeOfDay.defaultMinutes;
+        this.updateTimeSliderDisplay();
+
+        // Set default sun event
+        this.elements.sunEvent.value = CONFIG.sunEvent.defaultPreset;
+        this.updateSunEventDisplay();
+
+        // Standard observer
+        if (this.elements.observerHeight) {
+            this.elements.observerHeight.value = CONFIG.observer.height;
+            this.elements.airTemperature.value = CONFIG.observer.temperature;
+            this.elements.airPressure.value = CONFIG.observer.pressure;
+        }
+
+        // Scoring function
+        if (this.elements.scoringFunction) {
+            this.elements.scoringFunction.value = CONFIG.scoring.defaultFunction;
+            this.elements.scoringSigma.value = CONFIG.scoring.gaussianSigma;
+            this.elements.scoringTolerance.value = CONFIG.scoring.toleranceDegrees;
+            this.updateScoringDisplay();
+        }
+
+        // Street filter
+        if (this.elements.streetFilterTypes) {
+            this.renderStreetFilter();
+        }
+
+        // Aligned days threshold
+        if (this.elements.alignedDaysThreshold) {
+            this.elements.alignedDaysThreshold.value = Math.round(CONFIG.alignedDays.minScore * 100);
+        }
+
+        // Calendar reminder
+        if (this.elements.calendarAlarm) {
+            this.elements.calendarAlarm.value = CONFIG.calendar.alarmMinutesBefore;
+        }
     }
 
     /**
@@ -91,6 +172,150 @@ export class UIManager {
             this.handleTimeToggleChange();
         });
 
+        // Coloring mode redraws the map
+        if (this.elements.colorMode) {
+            this.elements.colorMode.addEventListener('change', () => {
+                this.updateColorModeDisplay();
+                this.handleUpdateClick();
+            });
+        }
+
+        if (this.elements.alignedDaysThreshold) {
+            this.elements.alignedDaysThreshold.addEventListener('change', () => {
+                this.handleUpdateClick();
+            });
+        }
+
+        // Scoring function and its parameter rescore the map
+        if (this.elements.scoringFunction) {
+            this.elements.scoringFunction.addEventListener('change', () => {
+                this.updateScoringDisplay();
+                this.handleUpdateClick();
+            });
+
+            [this.elements.scoringSigma, this.elements.scoringTolerance].forEach(input => {
+                input.addEventListener('change', () => {
+                    this.handleUpdateClick();
+                });
+            });
+        }
+
+        // Street filter changes apply on the next update, as they need new street data
+        if (this.elements.streetFilterTypes) {
+            [this.elements.streetFilterTypes, this.elements.streetFilterTags].forEach(container => {
+                container.addEventListener('change', () => {
+                    this.updateStreetFilterSummary();
+                });
+            });
+        }
+
+        // Street file import, from the picker or dropped on the map
+        if (this.elements.streetFile) {
+            this.elements.streetFile.addEventListener('change', () => {
+                const file = this.elements.streetFile.files[0];
+                if (file) {
+                    this.handleStreetFileSelected(file);
+                }
+            });
+
+            this.elements.clearStreetImportButton.addEventListener('click', (e) => {
+                e.preventDefault();
+                if (this.callbacks.onClearStreetImport) {
+                    this.callbacks.onClearStreetImport();
+                }
+            });
+
+            this.elements.map.addEventListener('dragover', (e) => {
+                if (e.dataTransfer && Array.from(e.dataTransfer.types).includes('Files')) {
+                    e.preventDefault();
+                    this.elements.map.classList.add('drop-target');
+                }
+            });
+
+            this.elements.map.addEventListener('dragleave', () => {
+                this.elements.map.classList.remove('drop-target');
+            });
+
+            this.elements.map.addEventListener('drop', (e) => {
+                this.elements.map.classList.remove('drop-target');
+                const file = e.dataTransfer && e.dataTransfer.files[0];
+                if (file) {
+                    e.preventDefault();
+                    this.handleStreetFileSelected(file);
+                }
+            });
+        }
+
+        // Street data kept across sessions
+        if (this.elements.clearStreetStorageButton) {
+            this.elements.clearStreetStorageButton.addEventListener('click', (e) => {
+                e.preventDefault();
+                if (this.callbacks.onClearStreetStorage) {
+                    this.callbacks.onClearStreetStorage();
+                }
+            });
+        }
+
+        // Time slider drag updates the label, release notifies listeners
+        this.elements.timeSlider.addEventListener('input', () => {
+            this.updateTimeSliderDisplay();
+        });
+
+        this.elements.timeSlider.addEventListener('change', () => {
+            this.handleTimeSliderChange();
+        });
+
+        // DEM file selection
+        if (this.elements.demFile) {
+            this.elements.demFile.addEventListener('change', () => {
+                this.handleDemFileChange();
+            });
+        }
+
+        // Solar engine comparison
+        if (this.elements.compareEnginesButton) {
+            this.elements.compareEnginesButton.addEventListener('click', (e) => {
+                e.preventDefault();
+                if (this.callbacks.onCompareEngines) {
+                    this.callbacks.onCompareEngines(this.getFormData());
+                }
+            });
+        }
+
+        // Upcoming alignments of every street in view
+        if (this.elements.findNextAlignmentsButton) {
+            this.elements.findNextAlignmentsButton.addEventListener('click', (e) => {
+                e.preventDefault();
+                if (this.callbacks.onFindNextAlignments) {
+                    this.callbacks.onFindNextAlignments();
+                }
+            });
+        }
+
+        // Calendar export of every street in view
+        if (this.elements.exportCalendarButton) {
+            this.elements.exportCalendarButton.addEventListener('click', (e) => {
+                e.preventDefault();
+                if (this.callbacks.onExportCalendar) {
+                    this.callbacks.onExportCalendar();
+                }
+            });
+        }
+
+        // Sun path overlay toggle
+        if (this.elements.sunPathToggle) {
+            this.elements.sunPathToggle.addEventListener('change', () => {
+                if (this.callbacks.onSunPathToggle) {
+                    this.callbacks.onSunPathToggle(this.isSunPathEnabled());
+                }
+            });
+        }
+
+        // Sun event preset change
+        this.elements.sunEvent.addEventListener('change', () => {
+            this.updateSunEventDisplay();
+        });
+
         // Enter key on date picker
         this.elements.datePicker.addEventListener('keypress', (e) => {
             if (e.key === 'Enter') {
@@ -125,20 +350,369 @@ export class UIManager {
      * Handle time toggle change
      */
     handleTimeToggleChange() {
+        this.updateTimeSliderDisplay();
+        this.updateSunEventDisplay();
+
         if (this.callbacks.onTimeToggleChange) {
             const data = this.getFormData();
             this.callbacks.onTimeToggleChange(data);
         }
     }
 
+    /**
+     * Handle DEM file selection
+     */
+    handleDemFileChange() {
+        const file = this.elements.demFile.files[0];
+
+        if (file && this.callbacks.onDemFileSelected) {
+            this.callbacks.onDemFileSelected(file);
+        }
+    }
+
+    /**
+     * Handle a street file chosen in the picker or dropped on the map
+     * @param {File} file - Street data file
+     */
+    handleStreetFileSelected(file) {
+        if (this.callbacks.onStreetFileSelected) {
+            this.callbacks.onStreetFileSelected(file);
+        }
+    }
+
+    /**
+     * Show where streets come from
+     * @param {string|null} fileName - Imported street file, or null for OpenStreetMap
+     */
+    setStreetImport(fileName) {
+        if (!this.elements.clearStreetImportButton) return;
+
+        this.elements.clearStreetImportButton.style.display = fileName ? '' : 'none';
+        if (!fileName) {
+            this.elements.streetFile.value = '';
+        }
+    }
+
+    /**
+     * Show how much street data is kept across sessions
+     * @param {Object} stats - Storage stats {available, count, bytes, quotaBytes}
+     */
+    setStreetStorageUsage(stats) {
+        if (!this.elements.streetStorageUsage) return;
+
+        const formatSize = (bytes) => (bytes < 1024 * 1024
+            ? `${Math.ceil(bytes / 1024)} KB`
+            : `${(bytes / (1024 * 1024)).toFixed(1)} MB`);
+        this.elements.streetStorageUsage.textContent = stats.available
+            ? `${stats.count} tile${stats.count === 1 ? '' : 's'}, ${formatSize(stats.bytes)} of ${formatSize(stats.quotaBytes)}`
+            : 'not available in this browser';
+        this.elements.clearStreetStorageButton.disabled = !stats.available || stats.count === 0;
+    }
+
+    /**
+     * Check if map clicks should place the sun path overlay
+     * @returns {boolean} True if enabled
+     */
+    isSunPathEnabled() {
+        return Boolean(this.elements.sunPathToggle && this.elements.sunPathToggle.checked);
+    }
+
+    /**
+     * Enable the terrain toggle once elevation data is loaded
+     * @param {boolean} available - True if terrain data is loaded
+     */
+    setTerrainAvailable(available) {
+        if (!this.elements.useTerrain) return;
+
+        this.elements.useTerrain.disabled = !available;
+        this.elements.useTerrain.checked = available;
+    }
+
+    /**
+     * Handle time slider release
+     */
+    handleTimeSliderChange() {
+        if (this.callbacks.onTimeChange) {
+            const data = this.getFormData();
+            this.callbacks.onTimeChange(data);
+        }
+    }
+
+    /**
+     * Show the slider only in time of day mode and refresh its label
+     */
+    updateTimeSliderDisplay() {
+        const isTimeMode = this.elements.timeToggle.value === 'time';
+
+        if (this.elements.timeSliderGroup) {
+            this.elements.timeSliderGroup.style.display = isTimeMode ? 'flex' : 'none';
+        }
+
+        if (this.elements.timeSliderValue) {
+            this.elements.timeSliderValue.textContent = this.formatMinutes(this.getSliderMinutes());
+        }
+    }
+
+    /**
+     * Show sun event and observer controls only for sunrise/sunset, and the altitude input only for custom events
+     */
+    updateSunEventDisplay() {
+        const mode = this.elements.timeToggle.value;
+        const isSunEventMode = mode === 'sunrise' || mode === 'sunset';
+        const isCustom = this.elements.sunEvent.value === 'custom';
+
+        if (this.elements.sunEventGroup) {
+            this.elements.sunEventGroup.style.display = isSunEventMode ? 'flex' : 'none';
+        }
+
+        if (this.elements.sunAltitudeGroup) {
+            this.elements.sunAltitudeGroup.style.display = isSunEventMode && isCustom ? 'flex' : 'none';
+        }
+
+        if (this.elements.observerGroup) {
+            this.elements.observerGroup.style.display = isSunEventMode ? 'flex' : 'none';
+        }
+    }
+
+    /**
+     * Show the aligned days threshold only in the aligned days coloring mode
+     */
+    updateColorModeDisplay() {
+        if (!this.elements.alignedDaysGroup) return;
+
+        const isAlignedDays = this.elements.colorMode.value === 'alignedDays';
+        this.elements.alignedDaysGroup.style.display = isAlignedDays ? 'block' : 'none';
+    }
+
+    /**
+     * Show the parameter input of the selected scoring function
+     */
+    updateScoringDisplay() {
+        if (!this.elements.scoringFunction) return;
+
+        const type = this.elements.scoringFunction.value;
+        this.elements.scoringSigmaLabel.style.display = type === 'gaussian' ? '' : 'none';
+        this.elements.scoringToleranceLabel.style.display = type === 'tolerance' ? '' : 'none';
+    }
+
+    /**
+     * Get the selected alignment scoring function
+     * @returns {Object} Scoring {type, sigma, tolerance} in degrees (see scoring.js)
+     */
+    getScoring() {
+        if (!this.elements.scoringFunction) {
+            return getDefaultScoring();
+        }
+
+        const readAngle = (input, fallback) => {
+            const value = parseFloat(input.value);
+            return isNaN(value) || value <= 0 ? fallback : Math.min(value, 90);
+        };
+
+        return {
+            type: this.elements.scoringFunction.value,
+            sigma: readAngle(this.elements.scoringSigma, CONFIG.scoring.gaussianSigma),
+            tolerance: readAngle(this.elements.scoringTolerance, CONFIG.scoring.toleranceDegrees)
+        };
+    }
+
+    /**
+     * Create the street filter checkboxes, selecting the configured defaults
+     */
+    renderStreetFilter() {
+        const { availableTypes, includedTypes, tagFilters, defaultTagFilters } = CONFIG.streets;
+
+        const createCheckbox = (value, label, checked) => {
+            const element = document.createElement('label');
+            element.className = 'checkbox-label';
+
+            const input = document.createElement('input');
+            input.type = 'checkbox';
+            input.value = value;
+            input.checked = checked;
+
+            element.append(input, ` ${label}`);
+            return element;
+        };
+
+        this.elements.streetFilterTypes.replaceChildren(...availableTypes.map(type =>
+            createCheckbox(type, type.replace('_', ' '), includedTypes.includes(type))));
+        this.elements.streetFilterTags.replaceChildren(...Object.entries(tagFilters).map(([name, tagFilter]) =>
+            createCheckbox(name, tagFilter.label, defaultTagFilters.includes(name))));
+
+        this.updateStreetFilterSummary();
+    }
+
+    /**
+     * Show the size of the street filter selection on its collapsed panel
+     */
+    updateStreetFilterSummary() {
+        const { types, tags } = this.getStreetFilter();
+
+        let summary = `${types.length} type${types.length === 1 ? '' : 's'}`;
+        if (tags.length > 0) {
+            summary += `, ${tags.length} condition${tags.length === 1 ? '' : 's'}`;
+        }
+        this.elements.streetFilterSummary.textContent = summary;
+    }
+
+    /**
+     * Get the selected street filter
+     * @returns {Object} {types, tags}: highway types and CONFIG.streets.tagFilters names
+     */
+    getStreetFilter() {
+        if (!this.elements.streetFilterTypes) {
+            return {
+                types: [...CONFIG.streets.includedTypes],
+                tags: [...CONFIG.streets.defaultTagFilters]
+            };
+        }
+
+        const getChecked = (container) => Array.from(container.querySelectorAll('input:checked'), input => input.value);
+
+        return {
+            types: getChecked(this.elements.streetFilterTypes),
+            tags: getChecked(this.elements.streetFilterTags)
+        };
+    }
+
+    /**
+     * Get the aligned days threshold
+     * @returns {number} Minimum alignment score for a day to count (0-1)
+     */
+    getAlignedDaysThreshold() {
+        const input = this.elements.alignedDaysThreshold;
+        const value = input ? parseFloat(input.value) : NaN;
+
+        if (isNaN(value)) {
+            return CONFIG.alignedDays.minScore;
+        }
+        return Math.max(0, Math.min(100, value)) / 100;
+    }
+
+    /**
+     * Get the sun altitude (degrees) defining the selected sunrise/sunset event
+     * @returns {number} Altitude of the sun's centre in degrees
+     */
+    getEventAltitude() {
+        const preset = this.elements.sunEvent.value;
+        const defaultAltitude = CONFIG.sunEvent.presets[CONFIG.sunEvent.defaultPreset];
+
+        if (preset === 'custom') {
+            const altitude = parseFloat(this.elements.sunAltitude.value);
+            return isNaN(altitude) ? defaultAltitude : altitude;
+        }
+
+        return CONFIG.sunEvent.presets[preset] ?? defaultAltitude;
+    }
+
+    /**
+     * Get observer height and atmosphere, falling back to the standard observer for empty inputs
+     * @returns {Object} {height, temperature, pressure}
+     */
+    getObserverConditions() {
+        const readNumber = (element, fallback) => {
+            const value = element ? parseFloat(element.value) : NaN;
+            return isNaN(value) ? fallback : value;
+        };
+
+        return {
+            height: Math.max(0, readNumber(this.elements.observerHeight, CONFIG.observer.height)),
+            temperature: readNumber(this.elements.airTemperature, CONFIG.observer.temperature),
+            pressure: readNumber(this.elements.airPressure, CONFIG.observer.pressure)
+        };
+    }
+
+    /**
+     * Get the reminder lead time for calendar exports
+     * @returns {number|null} Minutes before each event, or null for no reminder
+     */
+    getCalendarAlarmMinutes() {
+        const input = this.elements.calendarAlarm;
+        if (!input || input.value.trim() === '') {
+            return null;
+        }
+
+        const minutes = parseInt(input.value, 10);
+        return isNaN(minutes) ? null : Math.max(0, minutes);
+    }
+
+    /**
+     * Show calendar export progress on the export button, which cancels the export while it runs
+     * @param {string|null} status - Progress text, or null when the export is done
+     */
+    setCalendarExportState(status) {
+        const button = this.elements.exportCalendarButton;
+        if (!button) return;
+
+        button.textContent = status || 'Export visible streets (.ics)';
+    }
+
+    /**
+     * Get slider value in minutes after midnight
+     * @returns {number} Minutes (0-1439)
+     */
+    getSliderMinutes() {
+        return parseInt(this.elements.timeSlider.value, 10) || 0;
+    }
+
+    /**
+     * Format minutes after midnight as HH:MM
+     * @param {number} minutes - Minutes after midnight
+     * @returns {string} Formatted clock time
+     */
+    formatMinutes(minutes) {
+        const hours = Math.floor(minutes / 60);
+        const mins = minutes % 60;
+        return `${String(hours).padStart(2, '0')}:${String(mins).padStart(2, '0')}`;
+    }
+
+    /**
+     * Build the exact instant for the selected date and slider time
+     * @param {string} dateValue - Date picker value (YYYY-MM-DD)
+     * @param {number} minutes - Minutes after midnight
+     * @returns {Date} Local date and time
+     */
+    buildTimeOfDay(dateValue, minutes) {
+        const [year, month, day] = dateValue.split('-').map(Number);
+        return new Date(year, month - 1, day, Math.floor(minutes / 60), minutes % 60);
+    }
+
+    /**
+     * Format a date as a date picker value using its local calendar day
+     * @param {Date} date - Date to format
+     * @returns {string} Date string (YYYY-MM-DD)
+     */
+    formatDateValue(date) {
+        const month = String(date.getMonth() + 1).padStart(2, '0');
+        const day = String(date.getDate()).padStart(2, '0');
+        return `${date.getFullYear()}-${month}-${day}`;
+    }
+
     /**
      * Get current form data
-     * @returns {Object} Form data
+     * Dates and times here are browser-local; SunMapApp re-interprets dateValue and
+     * minutes in the map location's time zone before calculating.
+     * @returns {Object} Form data {date, dateValue, mode, isSunrise, minutes, time, eventAltitude, useTerrain, observer, colorMode, alignedDaysThreshold, scoring, streetFilter}
      */
     getFormData() {
+        const mode = this.elements.timeToggle.value;
+        const minutes = this.getSliderMinutes();
+
         return {
-            date: new Date(this.elements.datePicker.value),
-            isSunrise: this.elements.timeToggle.value === 'sunrise'
+            date: this.buildTimeOfDay(this.elements.datePicker.value, 0),
+            dateValue: this.elements.datePicker.value,
+            mode: mode,
+            isSunrise: mode === 'sunrise',
+            minutes: minutes,
+            time: mode === 'time' ? this.buildTimeOfDay(this.elements.datePicker.value, minutes) : null,
+            eventAltitude: this.getEventAltitude(),
+            observer: this.getObserverConditions(),
+            useTerrain: Boolean(this.elements.useTerrain && this.elements.useTerrain.checked),
+            colorMode: this.elements.colorMode ? this.elements.colorMode.value : 'alignment',
+            alignedDaysThreshold: this.getAlignedDaysThreshold(),
+            scoring: this.getScoring(),
+            streetFilter: this.getStreetFilter()
         };
     }
 
@@ -148,12 +722,23 @@ export class UIManager {
      */
     setFormData(data) {
         if (data.date instanceof Date) {
-            this.elements.datePicker.value = data.date.toISOString().split('T')[0];
+            this.elements.datePicker.value = data.timeZone ?
+                formatZonedDateValue(data.date, data.timeZone) :
+                this.formatDateValue(data.date);
         }
         
-        if (typeof data.isSunrise === 'boolean') {
+        if (data.mode) {
+            this.elements.timeToggle.value = data.mode;
+        } else if (typeof data.isSunrise === 'boolean') {
             this.elements.timeToggle.value = data.isSunrise ? 'sunrise' : 'sunset';
         }
+
+        if (typeof data.minutes === 'number') {
+            this.elements.timeSlider.value = data.minutes;
+        }
+
+        this.updateTimeSliderDisplay();
+        this.updateSunEventDisplay();
     }
 
     /**
@@ -206,6 +791,24 @@ export class UIManager {
         }, 5000);
     }
 
+    /**
+     * Show why street data could not be loaded
+     * @param {OverpassError} error - Typed Overpass failure
+     */
+    showStreetDataError(error) {
+        const wait = error.retryAfter ? `${error.retryAfter} seconds` : 'a minute';
+
+        const messages = {
+            [OVERPASS_ERROR.RATE_LIMITED]: `The street data servers are rate limiting requests. Please wait ${wait} and try again.`,
+            [OVERPASS_ERROR.TIMEOUT]: 'The street data servers took too long to answer. Try zooming in, or try again later.',
+            [OVERPASS_ERROR.OVERLOADED]: 'The street data servers are overloaded right now. Please try again in a few minutes.',
+            [OVERPASS_ERROR.BAD_QUERY]: 'The street data request was rejected. Please check the street filter.',
+            [OVERPASS_ERROR.UNAVAILABLE]: 'Could not reach the street data servers. Please check your connection and try again.'
+        };
+
+        this.showError(messages[error.type] || messages[OVERPASS_ERROR.UNAVAILABLE]);
+    }
+
     /**
      * Hide error message
      */
@@ -269,14 +872,49 @@ export class UIManager {
         }
     }
 
+    /**
+     * Fill the month legend with the henge map's cyclic color ramp
+     * @param {string} colorMode - 'hengeDay' (each month shades into the next) or 'hengeMonth' (one color per month)
+     */
+    updateLegendMonths(colorMode) {
+        const months = document.querySelector('.legend-months');
+        if (!months) return;
+
+        const { saturation, lightness } = CONFIG.hengeMap;
+        months.innerHTML = MONTH_LABELS.map((label, month) => {
+            const background = colorMode === 'hengeMonth' ?
+                getCyclicColor((month + 0.5) / 12, saturation, lightness) :
+                `linear-gradient(to right, ${getCyclicColor(month / 12, saturation, lightness)}, ${getCyclicColor((month + 1) / 12, saturation, lightness)})`;
+
+            return `<span class="legend-month" style="background: ${background};" title="${MONTH_NAMES[month]}">${label}</span>`;
+        }).join('');
+    }
+
     /**
      * Update legend with current statistics
-     * @param {Object} stats - Alignment statistics
+     * @param {Object} stats - Alignment statistics, henge statistics in the henge modes
+     *     or aligned day statistics in the aligned days mode
+     * @param {string} colorMode - Coloring mode of the map ('alignment', 'hengeDay', 'hengeMonth' or 'alignedDays')
      */
-    updateLegend(stats) {
+    updateLegend(stats, colorMode = 'alignment') {
         const legend = document.querySelector('.legend');
         if (!legend) return;
 
+        // Henge modes swap the score gradient for a month ramp
+        const isHenge = colorMode === 'hengeDay' || colorMode === 'hengeMonth';
+        const isAlignedDays = colorMode === 'alignedDays';
+        const title = legend.querySelector('h3');
+        const gradient = legend.querySelector('.legend-gradient');
+        const months = legend.querySelector('.legend-months');
+
+        const titles = { hengeDay: 'Henge Date', hengeMonth: 'Henge Date', alignedDays: 'Aligned Days per Year' };
+        if (title) title.textContent = titles[colorMode] || 'Street Alignment';
+        if (gradient) gradient.style.display = isHenge ? 'none' : '';
+        if (months) {
+            months.style.display = isHenge ? '' : 'none';
+            if (isHenge) this.updateLegendMonths(colorMode);
+        }
+
         // Add statistics display
         let statsElement = legend.querySelector('.legend-stats');
         if (!statsElement) {
@@ -290,17 +928,316 @@ export class UIManager {
             legend.appendChild(statsElement);
         }
 
-        if (stats && stats.total > 0) {
+        // The aligned days gradient runs from the busiest street in view down to none
+        const [highLabel, lowLabel] = legend.querySelectorAll('.legend-label');
+        if (highLabel && lowLabel) {
+            const maxDays = isAlignedDays && stats ? stats.maxDays : 0;
+            highLabel.textContent = isAlignedDays ? `${maxDays} day${maxDays === 1 ? '' : 's'}` : 'Perfect';
+            lowLabel.textContent = isAlignedDays ? 'None' : 'Perpendicular';
+        }
+
+        if (isHenge && stats && stats.total > 0) {
+            statsElement.innerHTML = this.createHengeStatsHTML(stats);
+        } else if (isAlignedDays && stats && stats.total > 0) {
+            statsElement.innerHTML = this.createAlignedDaysStatsHTML(stats);
+        } else if (stats && stats.total > 0) {
             statsElement.innerHTML = `
                 <div>Total segments: ${stats.total}</div>
+                <div>Scoring: ${describeScoring(stats.scoring)}</div>
                 <div>Average alignment: ${(stats.averageScore * 100).toFixed(2)}%</div>
-                <div>Perfect alignments: ${stats.perfectAlignments}</div>
+                <div>Perfect alignments (≤${this.getPerfectAngle(stats.scoring)}°): ${stats.perfectAlignments}</div>
+                <div>Azimuth: ${stats.azimuthRange.min.toFixed(2)}°–${stats.azimuthRange.max.toFixed(2)}°</div>
+                ${this.createAltitudeHTML(stats)}
             `;
         } else {
             statsElement.innerHTML = '<div>No data available</div>';
         }
     }
 
+    /**
+     * Show a notice when the sun never rises, never sets or never clears the terrain on the selected date
+     * @param {string} status - One of SUN_EVENT_STATUS; NORMAL clears the notice
+     */
+    updateSunStateNotice(status) {
+        const legend = document.querySelector('.legend');
+        if (!legend) return;
+
+        let noticeElement = legend.querySelector('.legend-notice');
+
+        if (status === SUN_EVENT_STATUS.NORMAL) {
+            if (noticeElement) noticeElement.remove();
+            return;
+        }
+
+        const messages = {
+            [SUN_EVENT_STATUS.POLAR_DAY]: {
+                notice: 'Polar day: the sun never sets on this date here, so there is no sunrise or sunset direction to compare streets against.',
+                info: 'Polar day: no sunset or sunrise on this date'
+            },
+            [SUN_EVENT_STATUS.POLAR_NIGHT]: {
+                notice: 'Polar night: the sun never rises on this date here, so there is no sunrise or sunset direction to compare streets against.',
+                info: 'Polar night: no sunrise or sunset on this date'
+            },
+            [SUN_EVENT_STATUS.TERRAIN_BLOCKED]: {
+                notice: 'The sun never clears the surrounding terrain on this date here, so there is no visible sunrise or sunset.',
+                info: 'Terrain hides the sun all day on this date'
+            }
+        };
+        const message = messages[status];
+
+        if (!noticeElement) {
+            noticeElement = document.createElement('div');
+            noticeElement.className = 'legend-notice legend-warning';
+            legend.appendChild(noticeElement);
+        }
+
+        noticeElement.textContent = message.notice;
+        this.showInfo(message.info, 5000);
+    }
+
+    /**
+     * Show the solar engine comparison panel
+     * @param {Object} comparison - SolarCalculator.compareEngines result plus {dateValue, timeZone}
+     */
+    showEngineComparison(comparison) {
+        const panel = this.elements.engineComparison;
+        if (!panel) return;
+
+        const { engines, rows, dateValue, timeZone } = comparison;
+
+        const formatValue = (value) => {
+            if (value.azimuth === null) {
+                return 'none';
+            }
+            const altitude = value.altitude !== null ? `, alt ${value.altitude.toFixed(4)}°` : '';
+            return `${formatZonedTime(value.time, timeZone, true)}<br>az ${value.azimuth.toFixed(4)}°${altitude}`;
+        };
+
+        const formatDifference = (value, unit, digits) => value === null ?
+            '—' :
+            `${value >= 0 ? '+' : ''}${value.toFixed(digits)}${unit}`;
+
+        panel.innerHTML = `
+            <div class="engine-comparison-header">
+                <h3>Solar engines • ${dateValue}</h3>
+                <button class="engine-comparison-close" title="Close">×</button>
+            </div>
+            <table>
+                <thead>
+                    <tr>
+                        <th></th>
+                        ${engines.map(label => `<th>${label}</th>`).join('')}
+                        <th>Δ time</th>
+                        <th>Δ azimuth</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${rows.map(row => `
+                        <tr>
+                            <td>${row.label}</td>
+                            ${row.values.map(value => `<td>${formatValue(value)}</td>`).join('')}
+                            <td>${formatDifference(row.timeDifference, ' s', 1)}</td>
+                            <td>${formatDifference(row.azimuthDifference, '°', 4)}</td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+            <div class="engine-comparison-note">Differences are ${engines[1]} minus ${engines[0]}. Time zone: ${timeZone}</div>
+        `;
+
+        panel.querySelector('.engine-comparison-close').addEventListener('click', () => {
+            this.hideEngineComparison();
+        });
+
+        panel.style.display = 'block';
+    }
+
+    /**
+     * Hide the solar engine comparison panel
+     */
+    hideEngineComparison() {
+        if (this.elements.engineComparison) {
+            this.elements.engineComparison.style.display = 'none';
+        }
+    }
+
+    /**
+     * Show upcoming alignments of the streets in view, soonest first
+     * @param {Object} data - {events, searched, total, skipped}; events are {street, date, time, type, score, timeZone}
+     */
+    showNextAlignments(data) {
+        const panel = this.elements.nextAlignments;
+        if (!panel) return;
+
+        const { events, searched, total, skipped } = data;
+        const done = searched === total;
+
+        const status = done ?
+            `${events.length} upcoming alignment${events.length === 1 ? '' : 's'} on ${total} streets` +
+                (skipped > 0 ? ` (${skipped} shorter streets skipped)` : '') :
+            `Searching streets... ${searched}/${total}`;
+
+        panel.innerHTML = `
+            <div class="engine-comparison-header">
+                <h3>Next alignments in view</h3>
+                <button class="engine-comparison-close" title="Close">×</button>
+            </div>
+            <div class="next-alignments-status">${status}</div>
+            <table>
+                <tbody>
+                    ${events.map((event, index) => `
+                        <tr class="next-alignment-row" data-index="${index}" title="Show this street on ${formatZonedDate(event.date, event.timeZone)}">
+                            <td>${formatZonedDate(event.date, event.timeZone)}<br>${formatZonedTime(event.time, event.timeZone)}</td>
+                            <td>${event.type === 'sunrise' ? 'Sunrise' : 'Sunset'}</td>
+                            <td>${event.street.highway || 'street'}<br><span class="next-alignments-bearing">${event.street.bearing.toFixed(1)}°</span></td>
+                            <td>${(event.score * 100).toFixed(1)}%</td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        `;
+
+        panel.querySelector('.engine-comparison-close').addEventListener('click', () => {
+            this.hideNextAlignments();
+        });
+
+        panel.querySelectorAll('.next-alignment-row').forEach(row => {
+            row.addEventListener('click', () => {
+                if (this.callbacks.onSelectNextAlignment) {
+                    this.callbacks.onSelectNextAlignment(events[parseInt(row.dataset.index, 10)]);
+                }
+            });
+        });
+
+        panel.style.display = 'block';
+    }
+
+    /**
+     * Hide the upcoming alignments panel, stopping its search
+     */
+    hideNextAlignments() {
+        if (this.elements.nextAlignments) {
+            this.elements.nextAlignments.style.display = 'none';
+        }
+        if (this.callbacks.onCloseNextAlignments) {
+            this.callbacks.onCloseNextAlignments();
+        }
+    }
+
+    /**
+     * Show or clear the event time at the map center, in the location's time zone
+     * @param {Object|null} eventTime - {label, time, timeZone} or null to clear
+     */
+    updateEventTime(eventTime) {
+        const legend = document.querySelector('.legend');
+        if (!legend) return;
+
+        let timeElement = legend.querySelector('.legend-time');
+
+        if (!eventTime || !eventTime.time) {
+            if (timeElement) timeElement.remove();
+            return;
+        }
+
+        if (!timeElement) {
+            timeElement = document.createElement('div');
+            timeElement.className = 'legend-time';
+            legend.appendChild(timeElement);
+        }
+
+        timeElement.innerHTML = `
+            <div>${eventTime.label}: ${formatZonedTime(eventTime.time, eventTime.timeZone)}</div>
+            <div>Time zone: ${eventTime.timeZone}</div>
+        `;
+    }
+
+    /**
+     * Show or clear moon phase details in the legend
+     * @param {Object|null} moonInfo - {phaseName, illumination, time} or null to clear
+     */
+    updateMoonInfo(moonInfo) {
+        const legend = document.querySelector('.legend');
+        if (!legend) return;
+
+        let moonElement = legend.querySelector('.legend-moon');
+
+        if (!moonInfo) {
+            if (moonElement) moonElement.remove();
+            return;
+        }
+
+        if (!moonElement) {
+            moonElement = document.createElement('div');
+            moonElement.className = 'legend-moon';
+            legend.appendChild(moonElement);
+        }
+
+        moonElement.innerHTML = `
+            <div>Moon phase: ${moonInfo.phaseName}</div>
+            <div>Illumination: ${(moonInfo.illumination * 100).toFixed(0)}%</div>
+        `;
+    }
+
+    /**
+     * Create legend line for sun altitude in time of day mode
+     * @param {Object} stats - Alignment statistics
+     * @returns {string} HTML content (empty outside time of day mode)
+     */
+    createAltitudeHTML(stats) {
+        if (stats.sunAltitude === null || stats.sunAltitude === undefined) {
+            return '';
+        }
+
+        if (stats.sunBelowHorizon) {
+            return `<div class="legend-warning">Sun altitude: ${stats.sunAltitude.toFixed(1)}° (below horizon)</div>`;
+        }
+
+        return `<div>Sun altitude: ${stats.sunAltitude.toFixed(1)}°</div>`;
+    }
+
+    /**
+     * Create legend statistics for the henge date map
+     * @param {Object} stats - Henge statistics from HeatmapManager.getHengeStats
+     * @returns {string} HTML content
+     */
+    createHengeStatsHTML(stats) {
+        const busiest = stats.monthCounts.indexOf(Math.max(...stats.monthCounts));
+        const busiestLine = stats.aligned > 0 ?
+            `<div>Busiest month: ${MONTH_NAMES[busiest]} (${stats.monthCounts[busiest]})</div>` :
+            '';
+
+        return `
+            <div>Total segments: ${stats.total}</div>
+            <div>Aligned (≥${(CONFIG.hengeMap.minAlignmentScore * 100).toFixed(0)}%): ${stats.aligned}</div>
+            <div>Sunrise: ${stats.sunrise} · Sunset: ${stats.sunset}</div>
+            ${busiestLine}
+        `;
+    }
+
+    /**
+     * Get the largest angle off the street that counts as a perfect alignment in the legend
+     * @param {Object} scoring - Scoring {type, sigma, tolerance}
+     * @returns {number} Angle in degrees
+     */
+    getPerfectAngle(scoring) {
+        // A hard tolerance window only knows inside and outside
+        return scoring.type === 'tolerance' ? scoring.tolerance : CONFIG.scoring.thresholdAngles.perfect;
+    }
+
+    /**
+     * Create legend statistics for the aligned days map
+     * @param {Object} stats - Aligned day statistics from HeatmapManager.getAlignedDaysStats
+     * @returns {string} HTML content
+     */
+    createAlignedDaysStatsHTML(stats) {
+        return `
+            <div>Total segments: ${stats.total}</div>
+            <div>Threshold: ${(stats.threshold * 100).toFixed(0)}%</div>
+            <div>Average: ${stats.averageDays.toFixed(1)} days per year</div>
+            <div>Never aligned: ${stats.neverAligned}</div>
+        `;
+    }
+
     /**
      * Set callback functions
      * @param {Object} callbacks - Callback functions
@@ -327,6 +1264,20 @@ export class UIManager {
     setDisabled(disabled) {
         this.elements.datePicker.disabled = disabled;
         this.elements.timeToggle.disabled = disabled;
+        if (this.elements.colorMode) this.elements.colorMode.disabled = disabled;
+        if (this.elements.alignedDaysThreshold) this.elements.alignedDaysThreshold.disabled = disabled;
+        [this.elements.scoringFunction, this.elements.scoringSigma, this.elements.scoringTolerance]
+            .filter(Boolean)
+            .forEach(element => { element.disabled = disabled; });
+        this.elements.timeSlider.disabled = disabled;
+        this.elements.sunEvent.disabled = disabled;
+        this.elements.sunAltitude.disabled = disabled;
+        [this.elements.observerHeight, this.elements.airTemperature, this.elements.airPressure]
+            .filter(Boolean)
+            .forEach(element => { element.disabled = disabled; });
+        [this.elements.streetFilterTypes, this.elements.streetFilterTags]
+            .filter(Boolean)
+            .forEach(container => container.querySelectorAll('input').forEach(input => { input.disabled = disabled; }));
         this.elements.updateButton.disabled = disabled;
     }
 
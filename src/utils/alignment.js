@@ -0,0 +1,103 @@
+import { CONFIG } from './constants.js';
+import { calculateDistance } from './geometry.js';
+import { addDaysToDateValue } from './timezone.js';
+
+/**
+ * Alignment tolerance model: whether the sun's whole disc fits in a street's angular corridor,
+ * given how well the street's bearing is known
+ */
+
+/**
+ * Get the angular corridor a street offers to the sun
+ * @param {Object} segment - Street segment {start, end, highway, totalLength, bearingUncertainty}
+ * @returns {Object} {halfAngle, bearingUncertainty} in degrees; halfAngle is the angle between the
+ *     street's axis and the far end of its edge, seen from the other end
+ */
+export function getStreetCorridor(segment) {
+    const { streetWidths, defaultStreetWidth, defaultBearingUncertainty } = CONFIG.alignmentWindow;
+    const width = streetWidths[segment.highway] || defaultStreetWidth;
+    const length = segment.totalLength || calculateDistance(segment.start, segment.end);
+
+    return {
+        halfAngle: Math.atan2(width / 2, Math.max(length, width)) * 180 / Math.PI,
+        bearingUncertainty: segment.bearingUncertainty ?? defaultBearingUncertainty
+    };
+}
+
+/**
+ * Get the probability that the sun's disc fits in a street corridor
+ * @param {number} offset - Signed angle from the street's axis to the sun's centre in degrees
+ * @param {Object} corridor - Street corridor {halfAngle, bearingUncertainty} from getStreetCorridor
+ * @returns {number} Confidence (0-1)
+ */
+export function getAlignmentConfidence(offset, corridor) {
+    const sunRadius = CONFIG.alignmentWindow.sunDiscDiameter / 2;
+
+    // Room for the disc centre; a corridor narrower than the disc only needs the centre inside
+    const room = corridor.halfAngle > sunRadius ? corridor.halfAngle - sunRadius : corridor.halfAngle;
+
+    // The true bearing is normally distributed around the mapped one
+    const sigma = Math.max(corridor.bearingUncertainty, 1e-6);
+    return normalCdf((room - offset) / sigma) - normalCdf((-room - offset) / sigma);
+}
+
+/**
+ * Group consecutive days on which the disc likely fits into date windows
+ * @param {Array} days - Chronological days {date, dateValue, type, time, confidence}, one per event type and day
+ * @param {number} minConfidence - Days below this confidence end a window
+ * @returns {Array} Chronological windows {type, startDate, endDate, startDateValue, endDateValue, days,
+ *     confidence, peakDate, peakTime}; confidence is that of the window's best day
+ */
+export function findAlignmentWindows(days, minConfidence = CONFIG.alignmentWindow.minConfidence) {
+    const windows = [];
+    const open = {};
+
+    days.forEach(day => {
+        if (day.confidence < minConfidence) {
+            return;
+        }
+
+        // A window of this event type that ended the day before carries on
+        const current = open[day.type];
+        if (current && addDaysToDateValue(current.endDateValue, 1) === day.dateValue) {
+            current.endDate = day.date;
+            current.endDateValue = day.dateValue;
+            current.days++;
+            if (day.confidence > current.confidence) {
+                current.confidence = day.confidence;
+                current.peakDate = day.date;
+                current.peakTime = day.time;
+            }
+            return;
+        }
+
+        const window = {
+            type: day.type,
+            startDate: day.date,
+            endDate: day.date,
+            startDateValue: day.dateValue,
+            endDateValue: day.dateValue,
+            days: 1,
+            confidence: day.confidence,
+            peakDate: day.date,
+            peakTime: day.time
+        };
+        open[day.type] = window;
+        windows.push(window);
+    });
+
+    return windows.sort((a, b) => a.startDateValue.localeCompare(b.startDateValue));
+}
+
+/**
+ * Standard normal cumulative distribution (Abramowitz & Stegun 7.1.26, error below 1.5e-7)
+ * @param {number} x - Value
+ * @returns {number} Probability
+ */
+function normalCdf(x) {
+    const z = Math.abs(x) / Math.SQRT2;
+    const t = 1 / (1 + 0.3275911 * z);
+    const erf = 1 - t * (0.254829592 + t * (-0.284496736 + t * (1.421413741 + t * (-1.453152027 + t * 1.061405429)))) * Math.exp(-z * z);
+
+    return x >= 0 ? (1 + erf) / 2 : (1 - erf) / 2;
+}
\ No newline at end of file
@@ -0,0 +1,77 @@
+import { CONFIG } from './constants.js';
+
+/**
+ * Observer and atmosphere corrections for horizon events.
+ * SunCalc event altitudes assume a sea-level observer in a standard atmosphere;
+ * these helpers move an event altitude to a raised observer in other weather.
+ */
+
+/**
+ * Get atmospheric refraction (Bennett's formula, scaled for temperature and pressure)
+ * @param {number} apparentAltitude - Apparent altitude in degrees
+ * @param {number} temperature - Air temperature in °C
+ * @param {number} pressure - Air pressure in hPa
+ * @returns {number} Refraction in degrees
+ */
+export function getRefraction(apparentAltitude, temperature = CONFIG.observer.temperature, pressure = CONFIG.observer.pressure) {
+    // Bennett's formula diverges a few degrees below the horizon
+    const altitude = Math.max(apparentAltitude, -2);
+    const arcMinutes = 1 / Math.tan((altitude + 7.31 / (altitude + 4.4)) * (Math.PI / 180));
+    const scale = (pressure / 1010) * (283 / (273 + temperature));
+
+    return (arcMinutes * scale) / 60;
+}
+
+/**
+ * Get dip of the sea-level horizon below the horizontal for a raised observer
+ * @param {number} height - Eye height above the surrounding surface in meters
+ * @returns {number} Dip in degrees (includes typical terrestrial refraction)
+ */
+export function getHorizonDip(height) {
+    if (!height || height <= 0) {
+        return 0;
+    }
+    return (1.76 * Math.sqrt(height)) / 60;
+}
+
+/**
+ * Convert a geometric altitude to an apparent altitude
+ * @param {number} altitude - Geometric altitude in degrees
+ * @param {number} temperature - Air temperature in °C
+ * @param {number} pressure - Air pressure in hPa
+ * @returns {number} Apparent altitude in degrees
+ */
+export function getApparentAltitude(altitude, temperature = CONFIG.observer.temperature, pressure = CONFIG.observer.pressure) {
+    // Refraction is defined on apparent altitude, so iterate to the fixed point
+    let apparent = altitude;
+    for (let i = 0; i < 10; i++) {
+        const next = altitude + getRefraction(apparent, temperature, pressure);
+        if (Math.abs(next - apparent) < 1e-7) {
+            return next;
+        }
+        apparent = next;
+    }
+    return apparent;
+}
+
+/**
+ * Shift a standard-observer event altitude to a given observer height and atmosphere.
+ * The event keeps its apparent position relative to the visible horizon; the horizon drops
+ * by the dip and refraction is re-evaluated for the actual conditions.
+ * @param {number} altitude - Event altitude for a sea-level observer in the standard atmosphere, in degrees
+ * @param {Object|null} observer - {height, temperature, pressure}; null keeps the standard observer
+ * @param {boolean} includeDip - False when a terrain horizon already accounts for the observer's height
+ * @returns {number} Geometric event altitude in degrees
+ */
+export function getObserverEventAltitude(altitude, observer, includeDip = true) {
+    if (!observer) {
+        return altitude;
+    }
+
+    const { height = 0, temperature = CONFIG.observer.temperature, pressure = CONFIG.observer.pressure } = observer;
+
+    const standardApparent = getApparentAltitude(altitude);
+    const observerApparent = standardApparent - (includeDip ? getHorizonDip(height) : 0);
+
+    return observerApparent - getRefraction(observerApparent, temperature, pressure);
+}
\ No newline at end of file
@@ -1,3 +1,5 @@
+import { CONFIG } from './constants.js';
+
 /**
  * Simple cache utility for storing street data and calculations
  */
@@ -37,8 +39,9 @@ class Cache {
      * Set cached data
      * @param {string} key
      * @param {*} data
+     * @param {number} timestamp - When the data was fetched (defaults to now)
      */
-    set(key, data) {
+    set(key, data, timestamp = Date.now()) {
         // Remove oldest if at capacity
         if (this.cache.size >= this.maxSize) {
             const firstKey = this.cache.keys().next().value;
@@ -47,7 +50,7 @@ class Cache {
 
         this.cache.set(key, {
             data,
-            timestamp: Date.now()
+            timestamp
         });
     }
 
@@ -93,6 +96,265 @@ class Cache {
     }
 }
 
+const DATA_STORE = 'entries';
+const META_STORE = 'meta';
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MB = 1024 * 1024;
+
+const textEncoder = new TextEncoder();
+
+/**
+ * Wrap an IndexedDB request in a promise
+ * @param {IDBRequest} request - Request
+ * @returns {Promise<*>} Request result
+ */
+function promisifyRequest(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * Wait for an IndexedDB transaction to commit
+ * @param {IDBTransaction} transaction - Transaction
+ * @returns {Promise<void>}
+ */
+function promisifyTransaction(transaction) {
+    return new Promise((resolve, reject) => {
+        transaction.oncomplete = () => resolve();
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error || new DOMException('Transaction aborted', 'AbortError'));
+    });
+}
+
+/**
+ * IndexedDB-backed cache that keeps data across sessions, with an expiry and a storage quota
+ * Data and bookkeeping ({key, timestamp, size}) live in separate object stores so expiry and quota
+ * checks never load the data itself. Storage is best effort: when IndexedDB is unavailable or fails,
+ * reads miss and writes are dropped
+ */
+class PersistentCache {
+    /**
+     * @param {string} name - Cache name, appended to the configured database name
+     */
+    constructor(name) {
+        this.databaseName = `${CONFIG.storage.databaseName}-${name}`;
+        this.dbPromise = null;
+    }
+
+    /**
+     * Open the database once
+     * @returns {Promise<IDBDatabase|null>} Database, or null if persistent storage is unavailable
+     */
+    open() {
+        if (!this.dbPromise) {
+            this.dbPromise = new Promise((resolve) => {
+                if (!CONFIG.storage.enabled || typeof indexedDB === 'undefined') {
+                    resolve(null);
+                    return;
+                }
+
+                try {
+                    const request = indexedDB.open(this.databaseName, 1);
+                    request.onupgradeneeded = () => {
+                        const db = request.result;
+                        db.createObjectStore(DATA_STORE);
+                        db.createObjectStore(META_STORE, { keyPath: 'key' }).createIndex('timestamp', 'timestamp');
+                    };
+                    request.onsuccess = () => resolve(request.result);
+                    request.onerror = () => {
+                        console.warn('Persistent storage unavailable:', request.error);
+                        resolve(null);
+                    };
+                } catch (error) {
+                    // Some private browsing modes throw instead of failing the request
+                    console.warn('Persistent storage unavailable:', error);
+                    resolve(null);
+                }
+            });
+        }
+        return this.dbPromise;
+    }
+
+    /**
+     * Get stored data
+     * @param {string} key
+     * @param {number} maxAge - Maximum age in milliseconds; older entries are deleted
+     * @returns {Promise<Object|null>} {data, timestamp} or null
+     */
+    async get(key, maxAge = CONFIG.storage.maxAgeDays * DAY_MS) {
+        const db = await this.open();
+        if (!db) return null;
+
+        try {
+            const transaction = db.transaction([DATA_STORE, META_STORE], 'readonly');
+            const [meta, data] = await Promise.all([
+                promisifyRequest(transaction.objectStore(META_STORE).get(key)),
+                promisifyRequest(transaction.objectStore(DATA_STORE).get(key))
+            ]);
+
+            if (!meta || data === undefined) {
+                return null;
+            }
+            if (Date.now() - meta.timestamp > maxAge) {
+                await this.delete(key);
+                return null;
+            }
+
+            return { data, timestamp: meta.timestamp };
+        } catch (error) {
+            console.warn(`Failed to read ${key} from persistent storage:`, error);
+            return null;
+        }
+    }
+
+    /**
+     * Store several entries, dropping expired and then oldest entries to stay within the quota
+     * @param {Array} entries - [key, data] pairs
+     * @returns {Promise<void>}
+     */
+    async setMany(entries) {
+        const db = await this.open();
+        if (!db || entries.length === 0) return;
+
+        const quota = CONFIG.storage.quotaMB * MB;
+        const sized = entries
+            .map(([key, data]) => ({ key, data, size: textEncoder.encode(JSON.stringify(data)).byteLength }))
+            .filter(entry => entry.size <= quota);
+        const incoming = sized.reduce((sum, entry) => sum + entry.size, 0);
+
+        try {
+            await this.evict(Math.max(quota - incoming, 0), new Set(sized.map(entry => entry.key)));
+            await this.write(db, sized);
+        } catch (error) {
+            if (error?.name !== 'QuotaExceededError') {
+                console.warn('Failed to write to persistent storage:', error);
+                return;
+            }
+
+            // The browser allows less than the configured quota: free half of what is stored and retry once
+            try {
+                const { bytes } = await this.getStats();
+                await this.evict(bytes / 2);
+                await this.write(db, sized);
+            } catch (retryError) {
+                console.warn('Persistent storage is full:', retryError);
+            }
+        }
+    }
+
+    /**
+     * Store data
+     * @param {string} key
+     * @param {*} data - Structured-cloneable data
+     * @returns {Promise<void>}
+     */
+    set(key, data) {
+        return this.setMany([[key, data]]);
+    }
+
+    /**
+     * Write entries in one transaction
+     * @param {IDBDatabase} db - Database
+     * @param {Array} entries - Entries {key, data, size}
+     * @returns {Promise<void>}
+     */
+    write(db, entries) {
+        const transaction = db.transaction([DATA_STORE, META_STORE], 'readwrite');
+        const timestamp = Date.now();
+
+        entries.forEach(({ key, data, size }) => {
+            transaction.objectStore(DATA_STORE).put(data, key);
+            transaction.objectStore(META_STORE).put({ key, timestamp, size });
+        });
+
+        return promisifyTransaction(transaction);
+    }
+
+    /**
+     * Delete expired entries, then the oldest ones until the rest fit in maxBytes
+     * @param {number} maxBytes - Bytes the remaining entries may use
+     * @param {Set<string>} replacedKeys - Keys about to be overwritten, not counted
+     * @returns {Promise<void>}
+     */
+    async evict(maxBytes, replacedKeys = new Set()) {
+        const db = await this.open();
+        if (!db) return;
+
+        const transaction = db.transaction([DATA_STORE, META_STORE], 'readwrite');
+        const metaStore = transaction.objectStore(META_STORE);
+        const dataStore = transaction.objectStore(DATA_STORE);
+        const maxAge = CONFIG.storage.maxAgeDays * DAY_MS;
+
+        // Oldest first
+        const entries = (await promisifyRequest(metaStore.index('timestamp').getAll()))
+            .filter(entry => !replacedKeys.has(entry.key));
+        let total = entries.reduce((sum, entry) => sum + entry.size, 0);
+
+        for (const entry of entries) {
+            if (total <= maxBytes && Date.now() - entry.timestamp <= maxAge) {
+                break;
+            }
+            metaStore.delete(entry.key);
+            dataStore.delete(entry.key);
+            total -= entry.size;
+        }
+
+        await promisifyTransaction(transaction);
+    }
+
+    /**
+     * Delete stored data
+     * @param {string} key
+     * @returns {Promise<void>}
+     */
+    async delete(key) {
+        const db = await this.open();
+        if (!db) return;
+
+        const transaction = db.transaction([DATA_STORE, META_STORE], 'readwrite');
+        transaction.objectStore(DATA_STORE).delete(key);
+        transaction.objectStore(META_STORE).delete(key);
+        await promisifyTransaction(transaction);
+    }
+
+    /**
+     * Delete all stored data
+     * @returns {Promise<void>}
+     */
+    async clear() {
+        const db = await this.open();
+        if (!db) return;
+
+        const transaction = db.transaction([DATA_STORE, META_STORE], 'readwrite');
+        transaction.objectStore(DATA_STORE).clear();
+        transaction.objectStore(META_STORE).clear();
+        await promisifyTransaction(transaction);
+    }
+
+    /**
+     * Get storage statistics
+     * @returns {Promise<Object>} {available, count, bytes, quotaBytes}; bytes is the UTF-8 size of the stored data as JSON
+     */
+    async getStats() {
+        const db = await this.open();
+        const stats = { available: Boolean(db), count: 0, bytes: 0, quotaBytes: CONFIG.storage.quotaMB * MB };
+        if (!db) return stats;
+
+        try {
+            const transaction = db.transaction(META_STORE, 'readonly');
+            const entries = await promisifyRequest(transaction.objectStore(META_STORE).getAll());
+            stats.count = entries.length;
+            stats.bytes = entries.reduce((sum, entry) => sum + entry.size, 0);
+        } catch (error) {
+            console.warn('Failed to read persistent storage statistics:', error);
+        }
+        return stats;
+    }
+}
+
 // Export singleton instance
-export const streetCache = new Cache(50);
+export const streetCache = new Cache(200); // Street tiles, hot layer in front of streetStore
+export const streetStore = new PersistentCache('streets'); // Street tiles kept across sessions
 export const calculationCache = new Cache(100);
\ No newline at end of file
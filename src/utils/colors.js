@@ -76,6 +76,18 @@ export function hslToHex(h, s, l) {
     return `#${toHex(r)}${toHex(g)}${toHex(b)}`;
 }
 
+/**
+ * Get a color from a cyclic hue ramp, so the end of the cycle meets its start
+ * @param {number} fraction - Position in the cycle (0-1, wraps around)
+ * @param {number} saturation - Saturation (0-100)
+ * @param {number} lightness - Lightness (0-100)
+ * @returns {string} Hex color
+ */
+export function getCyclicColor(fraction, saturation = 75, lightness = 50) {
+    const wrapped = ((fraction % 1) + 1) % 1;
+    return hslToHex(wrapped * 360, saturation, lightness);
+}
+
 /**
  * Interpolate between two colors using HSL color space to preserve saturation
  * @param {string} color1 - Start color (hex)
@@ -10,12 +10,13 @@ export const CONFIG = {
         highAlignment: '#FF6B35',  // Orange
         lowAlignment: '#cdcb4eff',   // Yellowish
         
-        // Alignment score range for interpolation (0-1)
-        minScore: 0.7,    // Scores below this won't show on map
-        maxScore: 1.0,    // Maximum score for color interpolation
+        // Color range as angles off the street (degrees), turned into scores by the
+        // selected scoring function (27° and 0° are scores 0.7 and 1.0 when linear)
+        minAngle: 27,     // Streets further off than this won't show on map
+        maxAngle: 0,      // Angle given the top color
         
         // Opacity control using bezier curve points
-        // Each point: [alignment_score, opacity] where both are 0-1
+        // Each point: [alignment_score, opacity] where both are 0-1, scores as the linear function gives them
         opacityBezier: [
             [0.5, -0.1],   // At min score (0.5), opacity = 0.05
             [0.7, 0.2],   // Control point for curve shape
@@ -23,24 +24,176 @@ export const CONFIG = {
             [1.0, 1.0]    // At max score (1.0), opacity = 1.0
         ]
     },
+    heatmap: {
+        azimuthTileSize: 0.01           // Degrees per azimuth tile (~1km); segments in a tile share one azimuth
+    },
+    scoring: {
+        defaultFunction: 'linear',      // 'linear', 'cosine', 'gaussian' or 'tolerance'
+        gaussianSigma: 5,               // Gaussian width in degrees
+        toleranceDegrees: 2,            // Hard tolerance window half-width in degrees
+        thresholdAngles: {              // Legend categories as angles off the street (degrees)
+            perfect: 9,
+            good: 36,
+            poor: 63
+        }
+    },
+    sunEvent: {
+        // Altitude of the sun's centre (degrees) at which a sunrise/sunset "event" happens
+        defaultPreset: 'upperLimb',
+        presets: {
+            upperLimb: -0.833,          // Standard sunrise/sunset: top of the disc touches the horizon
+            center: -0.567,             // "Half sun": disc centre on the horizon
+            lowerLimb: -0.3             // "Full sun": whole disc just clears the horizon
+        }
+    },
+    solarEngine: {
+        engine: 'suncalc',              // 'suncalc' (fast, ~1 min) or 'spa' (NREL SPA, sub-second)
+        deltaT: 69,                     // TT - UT in seconds, used by the SPA engine
+        eventPrecisionMs: 100           // Bisection precision for SPA sunrise/sunset times
+    },
+    sunPath: {
+        stepMinutes: 10,                // Sampling interval along the daily path
+        radiusPixels: 140,              // Horizon circle radius of the overlay on screen
+        color: '#f59e0b',               // Selected date
+        solsticeColor: '#6b7280'        // June/December solstice envelopes
+    },
+    alignmentChart: {
+        width: 260,                     // SVG viewBox size of the popup chart
+        height: 90,
+        sunriseColor: '#f59e0b',
+        sunsetColor: '#7c3aed',
+        todayColor: '#dc3545'
+    },
+    observer: {
+        // Defaults match the standard observer behind the sun event presets
+        height: 0,                      // Eye height above the surroundings in meters
+        temperature: 10,                // Air temperature in °C
+        pressure: 1010                  // Air pressure in hPa
+    },
+    terrain: {
+        observerHeight: 1.7,            // Eye height above the ground in meters
+        azimuthStep: 0.5,               // Horizon profile resolution in degrees
+        maxDistance: 30000,             // How far to look for terrain in meters
+        stepGrowth: 0.02,               // Ray step grows with distance (fraction of distance)
+        refractionCoefficient: 0.13,    // Terrestrial refraction coefficient for distant terrain
+        scanStepMinutes: 2,             // Coarse time step when searching for the terrain crossing
+        preEventScanMinutes: 30         // Start searching this long before the flat-horizon event
+    },
+    timeOfDay: {
+        defaultMinutes: 720,            // Slider default (minutes after local midnight)
+        stepMinutes: 5                  // Slider resolution in minutes
+    },
+    moon: {
+        minIllumination: 0.85           // Minimum illuminated fraction for a "bright moon" alignment
+    },
+    calendar: {
+        name: 'Sun Map street alignments',
+        productId: '-//Sun Map//Street Alignments//EN',
+        alarmMinutesBefore: 30,         // Default reminder before each event (blank input = no reminder)
+        eventDurationMinutes: 15,       // Length of each calendar event
+        minAlignmentScore: 0.95         // Viewport export skips weaker alignments
+    },
+    alignmentWindow: {
+        sunDiscDiameter: 0.53,          // Apparent diameter of the sun in degrees
+        defaultBearingUncertainty: 0.5, // Bearing 1-sigma in degrees for streets without batching data
+        defaultStreetWidth: 12,         // Building-to-building width in meters for unlisted highway types
+        streetWidths: {
+            primary: 24,
+            secondary: 20,
+            tertiary: 16,
+            residential: 12,
+            living_street: 8,
+            service: 6,
+            pedestrian: 10,
+            footway: 4,
+            cycleway: 4,
+            path: 3
+        },
+        minConfidence: 0.25             // Days at least this likely to fit the whole disc form a window
+    },
+    hengeMap: {
+        minAlignmentScore: 0.95,        // Streets that never line up better than this are not drawn
+        tieToleranceDegrees: 0.1,       // Days this close to the smallest angle off the street count as equally good
+        saturation: 75,                 // Cyclic color ramp (hue follows the day of year)
+        lightness: 48,
+        opacity: 0.85
+    },
+    alignedDays: {
+        minScore: 0.9,                  // Default threshold for a day to count as aligned
+        zeroOpacity: 0.35               // Streets that never line up stay visible but faint
+    },
+    nextAlignments: {
+        maxStreets: 25,                 // Longest streets in view searched by viewport-wide searches
+        maxResults: 50,                 // Upcoming events listed
+        minAlignmentScore: 0.95,        // Skip weaker alignments
+        zoom: 17,                       // Maximum zoom when showing a street
+        highlightColor: '#00bcd4',
+        highlightDuration: 4000         // How long the selected street stays highlighted (ms)
+    },
     api: {
-        overpassUrl: 'https://overpass-api.de/api/interpreter',
+        // Overpass mirrors, tried in turn when one fails
+        overpassUrls: [
+            'https://overpass-api.de/api/interpreter',
+            'https://overpass.kumi.systems/api/interpreter',
+            'https://overpass.private.coffee/api/interpreter'
+        ],
         debounceDelay: 300,
-        requestTimeout: 25000
+        requestTimeout: 25000,          // Per attempt, in ms
+        maxRetries: 3,                  // Further attempts after the first fails
+        retryBaseDelay: 1000,           // Backoff after the first failure in ms, doubling with each attempt
+        maxRetryDelay: 30000            // Give up rather than wait longer than this (e.g. for a long Retry-After)
     },
     streets: {
+        // Highway types offered in the street filter; includedTypes are selected by default
+        availableTypes: [
+            'primary', 'secondary', 'tertiary', 'unclassified', 'residential',
+            'living_street', 'service', 'pedestrian', 'footway', 'cycleway', 'path'
+        ],
         includedTypes: [
             'primary', 'secondary', 'tertiary', 'residential',
             'footway', 'cycleway', 'path'
         ],
         excludedTypes: ['motorway', 'trunk'],
+        // Tag conditions of the street filter: a way must have the key, or must not have one of
+        // the excluded values. Applied by the Overpass query and to imported streets
+        tagFilters: {
+            named: {
+                label: 'Named streets only',
+                conditions: [{ key: 'name' }]
+            },
+            noTunnels: {
+                label: 'Exclude tunnels and covered ways',
+                conditions: [
+                    { key: 'tunnel', excludedValues: ['yes', 'building_passage', 'culvert'] },
+                    { key: 'covered', excludedValues: ['yes'] }
+                ]
+            },
+            noPrivate: {
+                label: 'Exclude private access',
+                conditions: [{ key: 'access', excludedValues: ['private', 'no'] }]
+            }
+        },
+        defaultTagFilters: [],
         batching: {
             bearingTolerance: 1.0,      // ±1.0° for segment similarity. Units in degrees
             minBatchLength: 1,         // 50 meters minimum length. Units in meters
             maxBearingDrift: 1.0,       // 1° total accumulated drift limit
-            requireBatching: true       // Only render successfully batched segments
+            requireBatching: true,      // Only render successfully batched segments
+            positionError: 2            // Typical OSM node position error, sets bearing uncertainty. Units in meters
+        },
+        tiles: {
+            size: 0.02                  // Degrees per street tile (~2km); views are fetched and cached tile by tile
         }
     },
+    storage: {
+        enabled: true,                  // Keep street tiles in IndexedDB across sessions
+        databaseName: 'sun-map',
+        maxAgeDays: 7,                  // Street tiles older than this are fetched again
+        quotaMB: 50                     // Oldest tiles are dropped to stay under this
+    },
+    streetImport: {
+        maxFileSizeMB: 100              // Larger extracts should be clipped to the area of interest first
+    },
     optimalDay: {
         // Cache settings
         cacheMaxSize: 100,              // Maximum number of cached calculations
@@ -55,7 +208,7 @@ export const CONFIG = {
         maxResults: 5,                  // Maximum number of top results to return
         
         // Date range settings
-        searchYearsAhead: 1,            // Allow searching this many years ahead
+        searchYearsAhead: 2,            // Longest date range (in years) the optimal day search accepts
         includeLeapYears: true          // Include leap year calculations
     }
 };
@@ -63,9 +216,12 @@ export const CONFIG = {
 export const OVERPASS_QUERY_TEMPLATE = `
 [out:json][timeout:25];
 (
-  way["highway"~"^(primary|secondary|tertiary|residential|footway|cycleway|path)$"]
-    ["highway"!~"^(motorway|trunk)$"]
-    ({south},{west},{north},{east});
+{statements}
 );
 out geom;
-`;
\ No newline at end of file
+`;
+
+// One statement of OVERPASS_QUERY_TEMPLATE per bounding box
+export const OVERPASS_WAY_TEMPLATE = `  way["highway"~"^({includedTypes})$"]
+    ["highway"!~"^({excludedTypes})$"]{tagConditions}
+    ({south},{west},{north},{east});`;
\ No newline at end of file
@@ -0,0 +1,196 @@
+/**
+ * Digital elevation model (DEM) loading and sampling utilities
+ */
+
+const EARTH_RADIUS = 6371000; // meters
+const HGT_NO_DATA = -32768;
+
+/**
+ * Regular latitude/longitude elevation grid
+ */
+export class ElevationGrid {
+    /**
+     * @param {Object} params - Grid parameters
+     * @param {string} params.name - Source file name
+     * @param {Object} params.bounds - {north, south, east, west} of the outermost sample centres
+     * @param {number} params.width - Samples per row
+     * @param {number} params.height - Number of rows
+     * @param {ArrayLike<number>} params.data - Row-major elevations in meters, first row is the northern edge
+     * @param {number|null} params.noData - Value marking missing samples
+     */
+    constructor({ name, bounds, width, height, data, noData = null }) {
+        this.name = name;
+        this.bounds = bounds;
+        this.width = width;
+        this.height = height;
+        this.data = data;
+        this.noData = noData;
+    }
+
+    /**
+     * Check if a location falls inside the grid
+     * @param {number} lat - Latitude
+     * @param {number} lng - Longitude
+     * @returns {boolean} True if inside
+     */
+    contains(lat, lng) {
+        const { north, south, east, west } = this.bounds;
+        return lat >= south && lat <= north && lng >= west && lng <= east;
+    }
+
+    /**
+     * Get bilinearly interpolated elevation
+     * @param {number} lat - Latitude
+     * @param {number} lng - Longitude
+     * @returns {number|null} Elevation in meters, or null outside the grid or over missing data
+     */
+    getElevation(lat, lng) {
+        if (!this.contains(lat, lng)) {
+            return null;
+        }
+
+        const { north, south, east, west } = this.bounds;
+        const x = (lng - west) / (east - west) * (this.width - 1);
+        const y = (north - lat) / (north - south) * (this.height - 1);
+
+        const x0 = Math.floor(x);
+        const y0 = Math.floor(y);
+        const x1 = Math.min(x0 + 1, this.width - 1);
+        const y1 = Math.min(y0 + 1, this.height - 1);
+        const fx = x - x0;
+        const fy = y - y0;
+
+        const samples = [
+            this.getSample(x0, y0), this.getSample(x1, y0),
+            this.getSample(x0, y1), this.getSample(x1, y1)
+        ];
+
+        if (samples.some(sample => sample === null)) {
+            return null;
+        }
+
+        const top = samples[0] + (samples[1] - samples[0]) * fx;
+        const bottom = samples[2] + (samples[3] - samples[2]) * fx;
+        return top + (bottom - top) * fy;
+    }
+
+    /**
+     * Get a raw sample by grid index
+     * @param {number} x - Column index
+     * @param {number} y - Row index
+     * @returns {number|null} Elevation or null for missing data
+     */
+    getSample(x, y) {
+        const value = this.data[y * this.width + x];
+        if (value === this.noData || Number.isNaN(value)) {
+            return null;
+        }
+        return value;
+    }
+
+    /**
+     * Get approximate north-south sample spacing
+     * @returns {number} Spacing in meters
+     */
+    getCellSize() {
+        const degreesPerRow = (this.bounds.north - this.bounds.south) / (this.height - 1);
+        return degreesPerRow * (Math.PI / 180) * EARTH_RADIUS;
+    }
+}
+
+/**
+ * Parse an SRTM .hgt tile (big-endian 16-bit samples, SW corner encoded in the file name)
+ * @param {ArrayBuffer} buffer - File contents
+ * @param {string} fileName - File name such as N43W081.hgt
+ * @returns {ElevationGrid} Elevation grid
+ */
+export function parseHgt(buffer, fileName) {
+    const match = /([NS])(\d{1,2})([EW])(\d{1,3})/i.exec(fileName);
+    if (!match) {
+        throw new Error(`Cannot read tile position from HGT file name "${fileName}"`);
+    }
+
+    const size = Math.sqrt(buffer.byteLength / 2);
+    if (!Number.isInteger(size)) {
+        throw new Error(`Unexpected HGT file size: ${buffer.byteLength} bytes`);
+    }
+
+    const south = parseInt(match[2], 10) * (match[1].toUpperCase() === 'S' ? -1 : 1);
+    const west = parseInt(match[4], 10) * (match[3].toUpperCase() === 'W' ? -1 : 1);
+
+    const view = new DataView(buffer);
+    const data = new Int16Array(size * size);
+    for (let i = 0; i < data.length; i++) {
+        data[i] = view.getInt16(i * 2, false);
+    }
+
+    return new ElevationGrid({
+        name: fileName,
+        bounds: { north: south + 1, south, east: west + 1, west },
+        width: size,
+        height: size,
+        data,
+        noData: HGT_NO_DATA
+    });
+}
+
+/**
+ * Parse a single-band GeoTIFF in geographic (WGS84) coordinates
+ * @param {ArrayBuffer} buffer - File contents
+ * @param {string} fileName - File name
+ * @returns {Promise<ElevationGrid>} Elevation grid
+ */
+export async function parseGeoTiff(buffer, fileName) {
+    // Loaded on demand so the GeoTIFF decoder only ships when a DEM is opened
+    const { fromArrayBuffer } = await import('geotiff');
+
+    const tiff = await fromArrayBuffer(buffer);
+    const image = await tiff.getImage();
+
+    const geoKeys = image.getGeoKeys() || {};
+    if (geoKeys.ProjectedCSTypeGeoKey) {
+        throw new Error('Projected GeoTIFFs are not supported. Please reproject the DEM to WGS84 (EPSG:4326).');
+    }
+
+    const width = image.getWidth();
+    const height = image.getHeight();
+    const [west, south, east, north] = image.getBoundingBox();
+    const [resX, resY] = image.getResolution();
+    const data = await image.readRasters({ samples: [0], interleave: true });
+    const noData = image.getGDALNoData();
+
+    // Bounding box covers pixel areas; samples sit at pixel centres
+    return new ElevationGrid({
+        name: fileName,
+        bounds: {
+            north: north - Math.abs(resY) / 2,
+            south: south + Math.abs(resY) / 2,
+            east: east - Math.abs(resX) / 2,
+            west: west + Math.abs(resX) / 2
+        },
+        width,
+        height,
+        data,
+        noData
+    });
+}
+
+/**
+ * Load a DEM from a local file chosen by the user
+ * @param {File} file - .hgt or GeoTIFF file
+ * @returns {Promise<ElevationGrid>} Elevation grid
+ */
+export async function loadDemFile(file) {
+    const buffer = await file.arrayBuffer();
+    const name = file.name.toLowerCase();
+
+    if (name.endsWith('.hgt')) {
+        return parseHgt(buffer, file.name);
+    }
+
+    if (name.endsWith('.tif') || name.endsWith('.tiff')) {
+        return parseGeoTiff(buffer, file.name);
+    }
+
+    throw new Error(`Unsupported DEM format: ${file.name}`);
+}
\ No newline at end of file
@@ -1,3 +1,5 @@
+import { scoreAngle, getDefaultScoring } from './scoring.js';
+
 /**
  * Calculate bearing between two geographic points
  * @param {Object} point1 - {lat, lon}
@@ -20,16 +22,27 @@ export function calculateBearing(point1, point2) {
  * Calculate alignment score between street bearing and sun azimuth
  * @param {number} streetBearing - Street bearing in degrees
  * @param {number} sunAzimuth - Sun azimuth in degrees
+ * @param {Object} scoring - Scoring function {type, sigma, tolerance} (see scoring.js)
  * @returns {number} Alignment score (0-1, where 1 is perfect alignment)
  */
-export function calculateStreetAlignment(streetBearing, sunAzimuth) {
-    // Handle bidirectional streets - sun can be approached from either direction
-    const angleDiff = Math.abs(streetBearing - sunAzimuth);
-    const bidirectionalDiff = Math.min(angleDiff, Math.abs(angleDiff - 180));
-    const normalizedDiff = Math.min(bidirectionalDiff, 360 - bidirectionalDiff);
+export function calculateStreetAlignment(streetBearing, sunAzimuth, scoring = getDefaultScoring()) {
+    // Handle bidirectional streets - sun can be approached from either direction,
+    // and bearings either side of north (350° vs 5°) are only 15° apart
+    const normalizedDiff = Math.abs(calculateStreetOffset(streetBearing, sunAzimuth));
     
-    // Perfect alignment = 1, perpendicular = 0
-    return 1 - (normalizedDiff / 90);
+    // Perfect alignment = 1, falling off with the chosen scoring function
+    return scoreAngle(normalizedDiff, scoring);
+}
+
+/**
+ * Get the signed angle from the nearest street direction to the sun
+ * @param {number} streetBearing - Street bearing in degrees
+ * @param {number} sunAzimuth - Sun azimuth in degrees
+ * @returns {number} Offset in degrees (-90 to 90, positive when the sun is clockwise of the street)
+ */
+export function calculateStreetOffset(streetBearing, sunAzimuth) {
+    // Fold the difference onto half a turn so both street directions count
+    return ((((sunAzimuth - streetBearing) % 180) + 270) % 180) - 90;
 }
 
 /**
@@ -71,6 +84,18 @@ export function calculateDistance(point1, point2) {
     return R * c;
 }
 
+/**
+ * Get the midpoint of a street segment
+ * @param {Object} segment - Segment with start/end {lat, lon}
+ * @returns {Object} {lat, lng}
+ */
+export function getSegmentCenter(segment) {
+    return {
+        lat: (segment.start.lat + segment.end.lat) / 2,
+        lng: (segment.start.lon + segment.end.lon) / 2
+    };
+}
+
 /**
  * Calculate bearing difference accounting for circular nature (0-360°)
  * @param {number} bearing1 - First bearing in degrees
@@ -116,7 +141,7 @@ export function batchStraightSegments(segments, config) {
         });
         
         // Calculate representative segment
-        const representativeSegment = createRepresentativeSegment(batch, segments);
+        const representativeSegment = createRepresentativeSegment(batch, segments, config.positionError);
         
         // Apply filtering criteria
         const meetsLengthRequirement = representativeSegment.totalLength >= minBatchLength;
@@ -190,9 +215,10 @@ function createBidirectionalBatch(startIndex, segments, bearingTolerance, maxBea
  * Create representative segment from batch
  * @param {Object} batch - Batch with constituent indices
  * @param {Array} segments - All segments
- * @returns {Object} Representative segment
+ * @param {number} positionError - Typical error of mapped node positions in meters
+ * @returns {Object} Representative segment, with the 1-sigma bearingUncertainty of its bearing in degrees
  */
-function createRepresentativeSegment(batch, segments) {
+function createRepresentativeSegment(batch, segments, positionError = 0) {
     const firstSegment = segments[batch.startIndex];
     const lastSegment = segments[batch.endIndex];
     
@@ -209,6 +235,19 @@ function createRepresentativeSegment(batch, segments) {
     
     const representativeBearing = totalLength > 0 ? weightedBearingSum / totalLength : firstSegment.bearing;
     const totalBatchLength = calculateDistance(firstSegment.start, lastSegment.end);
+
+    // Bearing uncertainty: how much the constituents wander around the average (straightness),
+    // combined with how far mapping error at both ends can swing a line of this length
+    let weightedVarianceSum = 0;
+    batch.constituents.forEach(index => {
+        const segment = segments[index];
+        const deviation = calculateBearingDifference(representativeBearing, segment.bearing);
+        weightedVarianceSum += deviation * deviation * calculateDistance(segment.start, segment.end);
+    });
+
+    const bearingSpread = totalLength > 0 ? Math.sqrt(weightedVarianceSum / totalLength) : 0;
+    const endpointError = totalBatchLength > 0 ? toDegrees(Math.atan2(Math.SQRT2 * positionError, totalBatchLength)) : 0;
+    const bearingUncertainty = Math.sqrt(bearingSpread * bearingSpread + endpointError * endpointError);
     
     return {
         start: firstSegment.start,
@@ -218,6 +257,7 @@ function createRepresentativeSegment(batch, segments) {
         highway: firstSegment.highway,
         segmentCount: batch.constituents.length,
         totalLength: totalBatchLength,
+        bearingUncertainty: bearingUncertainty,
         constituents: batch.constituents
     };
 }
@@ -0,0 +1,174 @@
+import { CONFIG } from './constants.js';
+
+/**
+ * iCalendar (RFC 5545) export of street alignment dates
+ */
+
+const MINUTE_MS = 60 * 1000;
+const MAX_LINE_OCTETS = 75;
+
+const textEncoder = new TextEncoder();
+
+/**
+ * Format an instant as an iCalendar UTC date-time
+ * @param {Date} date - Instant
+ * @returns {string} Date-time such as 20270703T003217Z
+ */
+export function formatIcsDateTime(date) {
+    return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+/**
+ * Escape a value for an iCalendar TEXT property
+ * @param {string} text - Raw text
+ * @returns {string} Escaped text
+ */
+export function escapeIcsText(text) {
+    return String(text)
+        .replace(/\\/g, '\\\\')
+        .replace(/;/g, '\\;')
+        .replace(/,/g, '\\,')
+        .replace(/\r?\n/g, '\\n');
+}
+
+/**
+ * Fold a content line so no physical line exceeds 75 octets
+ * @param {string} line - Unfolded content line
+ * @returns {string} Folded line (CRLF + space between parts)
+ */
+function foldLine(line) {
+    const parts = [];
+    let current = '';
+    let currentOctets = 0;
+
+    // Iterate by code point so multi-byte characters are never split
+    for (const char of line) {
+        const octets = textEncoder.encode(char).length;
+        // Continuation lines start with a space, which counts towards their length
+        const limit = parts.length === 0 ? MAX_LINE_OCTETS : MAX_LINE_OCTETS - 1;
+
+        if (currentOctets + octets > limit) {
+            parts.push(current);
+            current = '';
+            currentOctets = 0;
+        }
+        current += char;
+        currentOctets += octets;
+    }
+    parts.push(current);
+
+    return parts.join('\r\n ');
+}
+
+/**
+ * Create an iCalendar file
+ * @param {Array} events - Events {uid, start, end, summary, description, location, geo: {lat, lng}}
+ * @param {Object} options - {name, alarmMinutes}; alarmMinutes null or negative leaves out the reminder
+ * @returns {string} iCalendar content
+ */
+export function createIcsCalendar(events, options = {}) {
+    const { name = CONFIG.calendar.name, alarmMinutes = CONFIG.calendar.alarmMinutesBefore } = options;
+    const stamp = formatIcsDateTime(new Date());
+
+    const lines = [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        `PRODID:${CONFIG.calendar.productId}`,
+        'CALSCALE:GREGORIAN',
+        'METHOD:PUBLISH',
+        `X-WR-CALNAME:${escapeIcsText(name)}`
+    ];
+
+    events.forEach(event => {
+        lines.push(
+            'BEGIN:VEVENT',
+            `UID:${event.uid}`,
+            `DTSTAMP:${stamp}`,
+            `DTSTART:${formatIcsDateTime(event.start)}`,
+            `DTEND:${formatIcsDateTime(event.end)}`,
+            `SUMMARY:${escapeIcsText(event.summary)}`,
+            `DESCRIPTION:${escapeIcsText(event.description)}`,
+            `LOCATION:${escapeIcsText(event.location)}`,
+            `GEO:${event.geo.lat.toFixed(6)};${event.geo.lng.toFixed(6)}`,
+            'TRANSP:TRANSPARENT'
+        );
+
+        if (alarmMinutes !== null && alarmMinutes >= 0) {
+            lines.push(
+                'BEGIN:VALARM',
+                'ACTION:DISPLAY',
+                `DESCRIPTION:${escapeIcsText(event.summary)}`,
+                `TRIGGER:-PT${Math.round(alarmMinutes)}M`,
+                'END:VALARM'
+            );
+        }
+
+        lines.push('END:VEVENT');
+    });
+
+    lines.push('END:VCALENDAR');
+
+    return lines.map(foldLine).join('\r\n') + '\r\n';
+}
+
+/**
+ * Create one calendar event per alignment day of an optimal day search
+ * @param {Object} street - {lat, lng, bearing, osmId, highway} of the street's center
+ * @param {Object} result - OptimalDayCalculator result
+ * @param {number} minScore - Skip alignments scoring below this (0-1)
+ * @returns {Array} Events for createIcsCalendar
+ */
+export function createAlignmentEvents(street, result, minScore = 0) {
+    const days = (result.topDays || []).filter(day => day.bestAlignment.alignmentScore >= minScore);
+
+    return days.map(day => {
+        const alignment = day.bestAlignment;
+        const label = alignment.type === 'sunrise' ? 'Sunrise' : 'Sunset';
+        const streetName = street.highway ? `${street.highway} street` : 'Street';
+        const score = (alignment.alignmentScore * 100).toFixed(2);
+
+        const description = [
+            `${label} lines up with this street.`,
+            `Alignment score: ${score}%`,
+            `Sun azimuth: ${alignment.sunAzimuth.toFixed(2)}° (street bearing ${street.bearing.toFixed(2)}°, ${alignment.residualAngle.toFixed(2)}° off)`
+        ];
+        if (day.refined) {
+            const offset = day.refined.dayOffset >= 0 ? `+${day.refined.dayOffset.toFixed(2)}` : day.refined.dayOffset.toFixed(2);
+            description.push(`Interpolated peak: ${offset} d from this event (${day.refined.residualAngle.toFixed(3)}° off)`);
+        }
+        // Negative ids are imported streets that are not in OpenStreetMap
+        if (street.osmId > 0) {
+            description.push(`https://www.openstreetmap.org/way/${street.osmId}`);
+        }
+
+        return {
+            uid: `${street.osmId || `${street.lat.toFixed(5)}_${street.lng.toFixed(5)}`}-${alignment.type}-${formatIcsDateTime(alignment.time)}@sun-map`,
+            start: alignment.time,
+            end: new Date(alignment.time.getTime() + CONFIG.calendar.eventDurationMinutes * MINUTE_MS),
+            summary: `${label} alignment: ${streetName} (${score}%)`,
+            description: description.join('\n'),
+            location: `${street.lat.toFixed(6)}, ${street.lng.toFixed(6)}`,
+            geo: { lat: street.lat, lng: street.lng }
+        };
+    });
+}
+
+/**
+ * Offer iCalendar content as a file download
+ * @param {string} content - iCalendar content
+ * @param {string} fileName - File name
+ */
+export function downloadIcsFile(content, fileName) {
+    const blob = new Blob([content], { type: 'text/calendar;charset=utf-8' });
+    const url = URL.createObjectURL(blob);
+
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+
+    // Give the browser a moment to start the download before releasing the blob
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
\ No newline at end of file
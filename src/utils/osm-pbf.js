@@ -0,0 +1,442 @@
+/**
+ * Minimal reader for OpenStreetMap PBF extracts (.osm.pbf): nodes and highway ways only
+ * Format: https://wiki.openstreetmap.org/wiki/PBF_Format
+ */
+
+const SUPPORTED_FEATURES = ['OsmSchema-V0.6', 'DenseNodes'];
+
+const textDecoder = new TextDecoder();
+
+/**
+ * Protocol buffer wire format reader over a byte array
+ */
+class ProtobufReader {
+    /**
+     * @param {Uint8Array} bytes - Message bytes
+     */
+    constructor(bytes) {
+        this.bytes = bytes;
+        this.pos = 0;
+    }
+
+    /**
+     * Check if the whole message has been read
+     * @returns {boolean} True at the end
+     */
+    atEnd() {
+        return this.pos >= this.bytes.length;
+    }
+
+    /**
+     * Read an unsigned varint (exact up to 2^53)
+     * @returns {number} Value
+     */
+    readVarint() {
+        let value = 0;
+        let multiplier = 1;
+        let byte;
+
+        do {
+            if (this.pos >= this.bytes.length) {
+                throw new Error('Truncated PBF message');
+            }
+            byte = this.bytes[this.pos++];
+            value += (byte & 0x7f) * multiplier;
+            multiplier *= 128;
+        } while (byte & 0x80);
+
+        return value;
+    }
+
+    /**
+     * Read a two's-complement signed varint (int64), where negative values take ten bytes
+     * @returns {number} Value
+     */
+    readInt64() {
+        let value = 0n;
+        let shift = 0n;
+        let byte;
+
+        do {
+            if (this.pos >= this.bytes.length) {
+                throw new Error('Truncated PBF message');
+            }
+            byte = this.bytes[this.pos++];
+            value |= BigInt(byte & 0x7f) << shift;
+            shift += 7n;
+        } while (byte & 0x80);
+
+        return Number(BigInt.asIntN(64, value));
+    }
+
+    /**
+     * Read a zigzag-encoded signed varint (sint32/sint64)
+     * @returns {number} Value
+     */
+    readSVarint() {
+        const value = this.readVarint();
+        return value % 2 === 1 ? -(value + 1) / 2 : value / 2;
+    }
+
+    /**
+     * Read a field key
+     * @returns {Object} {field, wireType}
+     */
+    readKey() {
+        const key = this.readVarint();
+        return { field: Math.floor(key / 8), wireType: key % 8 };
+    }
+
+    /**
+     * Read a length-delimited field
+     * @returns {Uint8Array} Field bytes (a view, not a copy)
+     */
+    readBytes() {
+        const length = this.readVarint();
+        const bytes = this.bytes.subarray(this.pos, this.pos + length);
+        this.pos += length;
+        return bytes;
+    }
+
+    /**
+     * Read a repeated varint field, packed or one value per occurrence
+     * @param {number} wireType - Wire type from the field key
+     * @param {Array<number>} values - Values read so far, appended to
+     * @param {boolean} signed - Zigzag-decode the values
+     */
+    readRepeated(wireType, values, signed = false) {
+        if (wireType !== 2) {
+            values.push(signed ? this.readSVarint() : this.readVarint());
+            return;
+        }
+
+        const reader = new ProtobufReader(this.readBytes());
+        while (!reader.atEnd()) {
+            values.push(signed ? reader.readSVarint() : reader.readVarint());
+        }
+    }
+
+    /**
+     * Skip a field's value
+     * @param {number} wireType - Wire type from the field key
+     */
+    skip(wireType) {
+        if (wireType === 0) this.readVarint();
+        else if (wireType === 1) this.pos += 8;
+        else if (wireType === 2) this.readBytes();
+        else if (wireType === 5) this.pos += 4;
+        else throw new Error(`Unsupported protobuf wire type ${wireType}`);
+    }
+}
+
+/**
+ * Undo delta coding of a packed field
+ * @param {Array<number>} values - Deltas
+ * @returns {Array<number>} Absolute values
+ */
+function decodeDeltas(values) {
+    let current = 0;
+    return values.map(delta => (current += delta));
+}
+
+/**
+ * Split a file into its blobs
+ * @param {Uint8Array} bytes - File contents
+ * @returns {Array} Blobs {type, data} with data still compressed
+ */
+function readFileBlocks(bytes) {
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const blocks = [];
+    let pos = 0;
+
+    while (pos < bytes.length) {
+        if (pos + 4 > bytes.length) {
+            throw new Error('Truncated PBF file');
+        }
+        const headerLength = view.getUint32(pos, false);
+        pos += 4;
+
+        const header = new ProtobufReader(bytes.subarray(pos, pos + headerLength));
+        pos += headerLength;
+
+        let type = '';
+        let dataSize = 0;
+        while (!header.atEnd()) {
+            const { field, wireType } = header.readKey();
+            if (field === 1) type = textDecoder.decode(header.readBytes());
+            else if (field === 3) dataSize = header.readVarint();
+            else header.skip(wireType);
+        }
+
+        if (pos + dataSize > bytes.length) {
+            throw new Error('Truncated PBF file');
+        }
+        blocks.push({ type, data: bytes.subarray(pos, pos + dataSize) });
+        pos += dataSize;
+    }
+
+    return blocks;
+}
+
+/**
+ * Unpack a blob's payload
+ * @param {Uint8Array} blob - Blob message
+ * @returns {Promise<Uint8Array>} Uncompressed block
+ */
+async function inflateBlob(blob) {
+    const reader = new ProtobufReader(blob);
+
+    while (!reader.atEnd()) {
+        const { field, wireType } = reader.readKey();
+        if (field === 1) {
+            return reader.readBytes();
+        }
+        if (field === 3) {
+            const stream = new Blob([reader.readBytes()]).stream().pipeThrough(new DecompressionStream('deflate'));
+            return new Uint8Array(await new Response(stream).arrayBuffer());
+        }
+        if (field >= 4) {
+            throw new Error('Unsupported PBF compression (only zlib and uncompressed blocks can be read)');
+        }
+        reader.skip(wireType);
+    }
+
+    return new Uint8Array(0);
+}
+
+/**
+ * Check that a header block asks for nothing this reader lacks
+ * @param {Uint8Array} block - HeaderBlock message
+ */
+function checkHeaderBlock(block) {
+    const reader = new ProtobufReader(block);
+
+    while (!reader.atEnd()) {
+        const { field, wireType } = reader.readKey();
+        if (field === 4) {
+            const feature = textDecoder.decode(reader.readBytes());
+            if (!SUPPORTED_FEATURES.includes(feature)) {
+                throw new Error(`Unsupported PBF feature: ${feature}`);
+            }
+        } else {
+            reader.skip(wireType);
+        }
+    }
+}
+
+/**
+ * Build a tag object from string table indices
+ * @param {Array<number>} keys - Key indices
+ * @param {Array<number>} values - Value indices
+ * @param {Array<string>} strings - String table
+ * @returns {Object} Tags
+ */
+function buildTags(keys, values, strings) {
+    const tags = {};
+    keys.forEach((key, i) => {
+        tags[strings[key]] = strings[values[i]];
+    });
+    return tags;
+}
+
+/**
+ * Read a primitive block's nodes or highway ways
+ * @param {Uint8Array} block - PrimitiveBlock message
+ * @param {Object} visitor - {node(id, lat, lon), way({id, tags, refs, lats, lons} with positions in degrees)};
+ *     elements without a callback are not decoded
+ * @returns {boolean} True if the block holds nodes
+ */
+function readPrimitiveBlock(block, visitor) {
+    const reader = new ProtobufReader(block);
+    const strings = [];
+    const groups = [];
+    let granularity = 100;
+    let latOffset = 0;
+    let lonOffset = 0;
+
+    while (!reader.atEnd()) {
+        const { field, wireType } = reader.readKey();
+        if (field === 1) {
+            const table = new ProtobufReader(reader.readBytes());
+            while (!table.atEnd()) {
+                const key = table.readKey();
+                if (key.field === 1) strings.push(textDecoder.decode(table.readBytes()));
+                else table.skip(key.wireType);
+            }
+        } else if (field === 2) {
+            groups.push(reader.readBytes());
+        } else if (field === 17) {
+            granularity = reader.readVarint();
+        } else if (field === 19) {
+            latOffset = reader.readInt64();
+        } else if (field === 20) {
+            lonOffset = reader.readInt64();
+        } else {
+            reader.skip(wireType);
+        }
+    }
+
+    const toDegrees = (offset, value) => 1e-9 * (offset + granularity * value);
+    let hasNodes = false;
+
+    groups.forEach(group => {
+        const groupReader = new ProtobufReader(group);
+        while (!groupReader.atEnd()) {
+            const { field, wireType } = groupReader.readKey();
+            if (field === 1 || field === 2) {
+                hasNodes = true;
+                if (!visitor.node) {
+                    groupReader.skip(wireType);
+                } else if (field === 1) {
+                    const node = readNode(groupReader.readBytes());
+                    visitor.node(node.id, toDegrees(latOffset, node.lat), toDegrees(lonOffset, node.lon));
+                } else {
+                    const dense = readDenseNodes(groupReader.readBytes());
+                    dense.ids.forEach((id, i) => {
+                        visitor.node(id, toDegrees(latOffset, dense.lats[i]), toDegrees(lonOffset, dense.lons[i]));
+                    });
+                }
+            } else if (field === 3 && visitor.way) {
+                const way = readWay(groupReader.readBytes(), strings);
+                if (way.tags.highway) {
+                    visitor.way({
+                        id: way.id,
+                        tags: way.tags,
+                        refs: way.refs,
+                        lats: way.lats && way.lats.map(lat => toDegrees(latOffset, lat)),
+                        lons: way.lons && way.lons.map(lon => toDegrees(lonOffset, lon))
+                    });
+                }
+            } else {
+                groupReader.skip(wireType);
+            }
+        }
+    });
+
+    return hasNodes;
+}
+
+/**
+ * Read a Node message
+ * @param {Uint8Array} bytes - Message bytes
+ * @returns {Object} {id, lat, lon} with raw coordinates
+ */
+function readNode(bytes) {
+    const reader = new ProtobufReader(bytes);
+    const node = { id: 0, lat: 0, lon: 0 };
+
+    while (!reader.atEnd()) {
+        const { field, wireType } = reader.readKey();
+        if (field === 1) node.id = reader.readSVarint();
+        else if (field === 8) node.lat = reader.readSVarint();
+        else if (field === 9) node.lon = reader.readSVarint();
+        else reader.skip(wireType);
+    }
+
+    return node;
+}
+
+/**
+ * Read a DenseNodes message
+ * @param {Uint8Array} bytes - Message bytes
+ * @returns {Object} {ids, lats, lons} with raw coordinates
+ */
+function readDenseNodes(bytes) {
+    const reader = new ProtobufReader(bytes);
+    const ids = [];
+    const lats = [];
+    const lons = [];
+
+    while (!reader.atEnd()) {
+        const { field, wireType } = reader.readKey();
+        if (field === 1) reader.readRepeated(wireType, ids, true);
+        else if (field === 8) reader.readRepeated(wireType, lats, true);
+        else if (field === 9) reader.readRepeated(wireType, lons, true);
+        else reader.skip(wireType);
+    }
+
+    return { ids: decodeDeltas(ids), lats: decodeDeltas(lats), lons: decodeDeltas(lons) };
+}
+
+/**
+ * Read a Way message
+ * @param {Uint8Array} bytes - Message bytes
+ * @param {Array<string>} strings - String table of the block
+ * @returns {Object} {id, tags, refs, lats, lons}; lats/lons only when the file stores locations on ways
+ */
+function readWay(bytes, strings) {
+    const reader = new ProtobufReader(bytes);
+    const way = { id: 0, keys: [], values: [], refs: [], lats: [], lons: [] };
+
+    while (!reader.atEnd()) {
+        const { field, wireType } = reader.readKey();
+        if (field === 1) way.id = reader.readVarint();
+        else if (field === 2) reader.readRepeated(wireType, way.keys);
+        else if (field === 3) reader.readRepeated(wireType, way.values);
+        else if (field === 8) reader.readRepeated(wireType, way.refs, true);
+        else if (field === 9) reader.readRepeated(wireType, way.lats, true);
+        else if (field === 10) reader.readRepeated(wireType, way.lons, true);
+        else reader.skip(wireType);
+    }
+
+    const hasLocations = way.lats.length > 0 && way.lats.length === way.refs.length;
+
+    return {
+        id: way.id,
+        tags: buildTags(way.keys, way.values, strings),
+        refs: decodeDeltas(way.refs),
+        lats: hasLocations ? decodeDeltas(way.lats) : null,
+        lons: hasLocations ? decodeDeltas(way.lons) : null
+    };
+}
+
+/**
+ * Parse an OSM PBF extract's highway ways and the nodes they use
+ * Extracts list nodes before ways, so a first pass collects the ways and the node ids they reference
+ * and a second pass reads the positions of only those nodes, keeping the rest of the extract out of memory
+ * @param {ArrayBuffer} buffer - File contents
+ * @returns {Promise<Object>} {nodes, ways}: node id → {lat, lon} and ways {id, tags, refs}
+ */
+export async function parseOsmPbf(buffer) {
+    const blocks = readFileBlocks(new Uint8Array(buffer));
+    const nodes = new Map();
+    const ways = [];
+    const neededNodes = new Set();
+    const nodeBlocks = [];
+
+    for (const { type, data } of blocks) {
+        const block = await inflateBlob(data);
+        if (type === 'OSMHeader') {
+            checkHeaderBlock(block);
+        } else if (type === 'OSMData') {
+            const hasNodes = readPrimitiveBlock(block, {
+                way: ({ id, tags, refs, lats, lons }) => {
+                    ways.push({ id, tags, refs });
+                    refs.forEach((ref, i) => {
+                        // Files written with locations on ways carry their own node positions
+                        if (lats) {
+                            nodes.set(ref, { lat: lats[i], lon: lons[i] });
+                        } else {
+                            neededNodes.add(ref);
+                        }
+                    });
+                }
+            });
+            if (hasNodes) nodeBlocks.push(data);
+        }
+    }
+
+    if (neededNodes.size > 0) {
+        for (const data of nodeBlocks) {
+            readPrimitiveBlock(await inflateBlob(data), {
+                node: (id, lat, lon) => {
+                    if (neededNodes.has(id) && !nodes.has(id)) {
+                        nodes.set(id, { lat, lon });
+                    }
+                }
+            });
+        }
+    }
+
+    return { nodes, ways };
+}
\ No newline at end of file
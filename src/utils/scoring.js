@@ -0,0 +1,103 @@
+import { CONFIG } from './constants.js';
+
+/**
+ * Alignment scoring functions: turn the angle between a street and the sun (0-90°) into a score (0-1)
+ */
+
+const toRadians = (degrees) => degrees * Math.PI / 180;
+
+/**
+ * Available scoring functions. `score(angle, scoring)` scores an angle in degrees; continuous
+ * functions take their color range and legend thresholds from the angles in CONFIG, the hard
+ * tolerance window has only two scores
+ */
+export const SCORING_FUNCTIONS = {
+    linear: {
+        label: 'Linear',
+        score: (angle) => 1 - angle / 90
+    },
+    cosine: {
+        label: 'Cosine',
+        score: (angle) => Math.cos(toRadians(angle))
+    },
+    gaussian: {
+        label: 'Gaussian',
+        score: (angle, { sigma }) => Math.exp(-(angle * angle) / (2 * sigma * sigma))
+    },
+    tolerance: {
+        label: 'Hard tolerance',
+        score: (angle, { tolerance }) => (angle <= tolerance ? 1 : 0),
+        range: { minScore: 1, maxScore: 1, thresholds: { perfect: 1, good: 1, poor: 1 } }
+    }
+};
+
+/**
+ * Get the configured default scoring
+ * @returns {Object} Scoring {type, sigma, tolerance}
+ */
+export function getDefaultScoring() {
+    return {
+        type: CONFIG.scoring.defaultFunction,
+        sigma: CONFIG.scoring.gaussianSigma,
+        tolerance: CONFIG.scoring.toleranceDegrees
+    };
+}
+
+/**
+ * Score the angle between a street and the sun
+ * @param {number} angle - Angle off the street's axis in degrees (0-90)
+ * @param {Object} scoring - Scoring {type, sigma, tolerance}
+ * @returns {number} Score (0-1, 1 when the sun is straight down the street)
+ */
+export function scoreAngle(angle, scoring = getDefaultScoring()) {
+    const scoringFunction = SCORING_FUNCTIONS[scoring.type] || SCORING_FUNCTIONS.linear;
+    return scoringFunction.score(angle, scoring);
+}
+
+/**
+ * Get the score range shown on the map and the legend thresholds of a scoring
+ * @param {Object} scoring - Scoring {type, sigma, tolerance}
+ * @returns {Object} {minScore, maxScore, thresholds: {perfect, good, poor}}
+ */
+export function getScoringRange(scoring = getDefaultScoring()) {
+    const scoringFunction = SCORING_FUNCTIONS[scoring.type] || SCORING_FUNCTIONS.linear;
+    if (scoringFunction.range) {
+        return scoringFunction.range;
+    }
+
+    const { minAngle, maxAngle } = CONFIG.gradient;
+    const { perfect, good, poor } = CONFIG.scoring.thresholdAngles;
+
+    return {
+        minScore: scoreAngle(minAngle, scoring),
+        maxScore: scoreAngle(maxAngle, scoring),
+        thresholds: {
+            perfect: scoreAngle(perfect, scoring),
+            good: scoreAngle(good, scoring),
+            poor: scoreAngle(poor, scoring)
+        }
+    };
+}
+
+/**
+ * Get a cache key for a scoring
+ * @param {Object} scoring - Scoring {type, sigma, tolerance}
+ * @returns {string} Key
+ */
+export function getScoringKey(scoring = getDefaultScoring()) {
+    if (scoring.type === 'gaussian') return `gaussian${scoring.sigma}`;
+    if (scoring.type === 'tolerance') return `tolerance${scoring.tolerance}`;
+    return scoring.type;
+}
+
+/**
+ * Describe a scoring for display
+ * @param {Object} scoring - Scoring {type, sigma, tolerance}
+ * @returns {string} Description such as "Gaussian (σ 5°)"
+ */
+export function describeScoring(scoring = getDefaultScoring()) {
+    const scoringFunction = SCORING_FUNCTIONS[scoring.type] || SCORING_FUNCTIONS.linear;
+    if (scoring.type === 'gaussian') return `${scoringFunction.label} (σ ${scoring.sigma}°)`;
+    if (scoring.type === 'tolerance') return `${scoringFunction.label} (±${scoring.tolerance}°)`;
+    return scoringFunction.label;
+}
\ No newline at end of file
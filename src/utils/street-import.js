@@ -0,0 +1,220 @@
+import { CONFIG } from './constants.js';
+import { parseOsmPbf } from './osm-pbf.js';
+
+/**
+ * Street data import from local files: GeoJSON, OSM XML and OSM PBF
+ * Every parser returns Overpass-style ways ({type: 'way', id, tags, geometry: [{lat, lon}]}) so imported
+ * streets go through the same processing as fetched ones
+ */
+
+/**
+ * Turn ways with node references into Overpass-style ways, splitting them where nodes are missing
+ * (e.g. ways cut at the edge of an extract)
+ * @param {Array} ways - Ways {id, tags, refs}
+ * @param {Map} nodes - Node id → {lat, lon}
+ * @returns {Array} Overpass-style ways
+ */
+function resolveWayGeometry(ways, nodes) {
+    const elements = [];
+
+    ways.forEach(way => {
+        let geometry = [];
+        const flush = () => {
+            if (geometry.length >= 2) {
+                elements.push({ type: 'way', id: way.id, tags: way.tags, geometry });
+            }
+            geometry = [];
+        };
+
+        way.refs.forEach(ref => {
+            const node = nodes.get(ref);
+            if (node) {
+                geometry.push(node);
+            } else {
+                flush();
+            }
+        });
+        flush();
+    });
+
+    return elements;
+}
+
+/**
+ * Parse GeoJSON LineStrings and MultiLineStrings
+ * Feature properties become tags; features without an OSM id get negative ids, as new objects do in OSM editors
+ * @param {string} text - GeoJSON text (FeatureCollection, Feature or bare geometry)
+ * @returns {Array} Overpass-style ways
+ */
+export function parseGeoJson(text) {
+    let geoJson;
+    try {
+        geoJson = JSON.parse(text);
+    } catch (error) {
+        throw new Error(`Invalid GeoJSON: ${error.message}`);
+    }
+
+    let features;
+    if (geoJson.type === 'FeatureCollection') {
+        features = geoJson.features || [];
+    } else if (geoJson.type === 'Feature') {
+        features = [geoJson];
+    } else {
+        features = [{ type: 'Feature', geometry: geoJson, properties: {} }];
+    }
+
+    const elements = [];
+    let nextNewId = -1;
+
+    features.forEach(feature => {
+        const geometry = feature.geometry;
+        if (!geometry) return;
+
+        let lines;
+        if (geometry.type === 'LineString') {
+            lines = [geometry.coordinates];
+        } else if (geometry.type === 'MultiLineString') {
+            lines = geometry.coordinates;
+        } else {
+            return;
+        }
+
+        // Keep scalar properties as OSM-style string tags
+        const tags = {};
+        Object.entries(feature.properties || {}).forEach(([key, value]) => {
+            if (value !== null && typeof value !== 'object') {
+                tags[key] = String(value);
+            }
+        });
+
+        const id = getGeoJsonOsmId(feature) ?? nextNewId--;
+
+        lines.forEach(coordinates => {
+            if (!Array.isArray(coordinates) || coordinates.length < 2) return;
+            elements.push({
+                type: 'way',
+                id,
+                tags,
+                geometry: coordinates.map(([lon, lat]) => ({ lat, lon }))
+            });
+        });
+    });
+
+    return elements;
+}
+
+/**
+ * Get the OSM way id of a GeoJSON feature exported from OpenStreetMap, if any
+ * @param {Object} feature - GeoJSON feature
+ * @returns {number|null} Way id
+ */
+function getGeoJsonOsmId(feature) {
+    const properties = feature.properties || {};
+
+    // overpass-turbo and osmtogeojson write "way/123"; plain feature ids are usually just row numbers
+    for (const candidate of [feature.id, properties['@id']]) {
+        const match = /^way\/(\d+)$/.exec(String(candidate ?? ''));
+        if (match) {
+            return Number(match[1]);
+        }
+    }
+
+    // ogr2ogr and osm2pgsql exports
+    if (/^\d+$/.test(String(properties.osm_id ?? ''))) {
+        return Number(properties.osm_id);
+    }
+
+    return null;
+}
+
+/**
+ * Parse an OSM XML file (API, editor or Overpass export) into its highway ways
+ * Objects an editor marked as deleted are skipped
+ * @param {string} text - OSM XML text
+ * @returns {Array} Overpass-style ways
+ */
+export function parseOsmXml(text) {
+    const doc = new DOMParser().parseFromString(text, 'application/xml');
+    if (doc.querySelector('parsererror') || !doc.querySelector('osm')) {
+        throw new Error('Invalid OSM XML file');
+    }
+
+    const isDeleted = (element) => element.getAttribute('action') === 'delete' || element.getAttribute('visible') === 'false';
+
+    const nodes = new Map();
+    doc.querySelectorAll('node').forEach(node => {
+        if (isDeleted(node)) return;
+        nodes.set(Number(node.getAttribute('id')), {
+            lat: parseFloat(node.getAttribute('lat')),
+            lon: parseFloat(node.getAttribute('lon'))
+        });
+    });
+
+    const ways = [];
+    doc.querySelectorAll('way').forEach(way => {
+        if (isDeleted(way)) return;
+
+        const tags = {};
+        way.querySelectorAll('tag').forEach(tag => {
+            tags[tag.getAttribute('k')] = tag.getAttribute('v');
+        });
+        if (!tags.highway) return;
+
+        const refs = [];
+        way.querySelectorAll('nd').forEach(nd => {
+            const ref = Number(nd.getAttribute('ref'));
+            refs.push(ref);
+
+            // Overpass "out geom" puts node positions on the way itself
+            if (nd.hasAttribute('lat') && !nodes.has(ref)) {
+                nodes.set(ref, {
+                    lat: parseFloat(nd.getAttribute('lat')),
+                    lon: parseFloat(nd.getAttribute('lon'))
+                });
+            }
+        });
+
+        ways.push({ id: Number(way.getAttribute('id')), tags, refs });
+    });
+
+    return resolveWayGeometry(ways, nodes);
+}
+
+/**
+ * Get the format of a street data file from its name
+ * @param {string} fileName - File name
+ * @returns {string|null} 'geojson', 'osm' or 'pbf'
+ */
+export function getStreetFileFormat(fileName) {
+    const name = fileName.toLowerCase();
+
+    if (name.endsWith('.pbf')) return 'pbf';
+    if (name.endsWith('.geojson') || name.endsWith('.json')) return 'geojson';
+    if (name.endsWith('.osm') || name.endsWith('.xml')) return 'osm';
+    return null;
+}
+
+/**
+ * Load streets from a local file chosen or dropped by the user
+ * @param {File} file - .geojson/.json, .osm/.xml or .osm.pbf file
+ * @returns {Promise<Array>} Overpass-style ways
+ */
+export async function loadStreetFile(file) {
+    const format = getStreetFileFormat(file.name);
+    if (!format) {
+        throw new Error(`Unsupported street file format: ${file.name}`);
+    }
+
+    const maxBytes = CONFIG.streetImport.maxFileSizeMB * 1024 * 1024;
+    if (file.size > maxBytes) {
+        throw new Error(`${file.name} is larger than ${CONFIG.streetImport.maxFileSizeMB} MB. Please clip the extract to the area of interest first.`);
+    }
+
+    if (format === 'pbf') {
+        const { nodes, ways } = await parseOsmPbf(await file.arrayBuffer());
+        return resolveWayGeometry(ways, nodes);
+    }
+
+    const text = await file.text();
+    return format === 'geojson' ? parseGeoJson(text) : parseOsmXml(text);
+}
\ No newline at end of file
@@ -0,0 +1,220 @@
+import tzlookup from '@photostructure/tz-lookup';
+
+/**
+ * Time zone utilities for interpreting dates at the map location.
+ * Zone boundaries come from the bundled tz-lookup dataset, so no network is needed.
+ */
+
+const zoneCache = new Map();
+const formatterCache = new Map();
+
+/**
+ * Get the IANA time zone for a location
+ * @param {number} lat - Latitude
+ * @param {number} lng - Longitude
+ * @returns {string} IANA time zone (falls back to the browser zone if lookup fails)
+ */
+export function getTimeZone(lat, lng) {
+    // ~1km grid is plenty for zone boundaries and keeps the cache small
+    const cacheKey = `${lat.toFixed(2)}_${lng.toFixed(2)}`;
+
+    if (zoneCache.has(cacheKey)) {
+        return zoneCache.get(cacheKey);
+    }
+
+    let timeZone;
+    try {
+        timeZone = tzlookup(lat, lng);
+    } catch (error) {
+        console.warn('Time zone lookup failed, using browser time zone:', error);
+        timeZone = Intl.DateTimeFormat().resolvedOptions().timeZone;
+    }
+
+    zoneCache.set(cacheKey, timeZone);
+    return timeZone;
+}
+
+/**
+ * Get a cached Intl formatter for numeric date parts in a zone
+ * @param {string} timeZone - IANA time zone
+ * @returns {Intl.DateTimeFormat} Formatter
+ */
+function getPartsFormatter(timeZone) {
+    if (!formatterCache.has(timeZone)) {
+        formatterCache.set(timeZone, new Intl.DateTimeFormat('en-US', {
+            timeZone,
+            hourCycle: 'h23',
+            year: 'numeric',
+            month: 'numeric',
+            day: 'numeric',
+            hour: 'numeric',
+            minute: 'numeric',
+            second: 'numeric'
+        }));
+    }
+    return formatterCache.get(timeZone);
+}
+
+/**
+ * Get calendar and clock components of an instant in a zone
+ * @param {Date} date - Instant
+ * @param {string} timeZone - IANA time zone
+ * @returns {Object} {year, month (1-12), day, hour, minute, second}
+ */
+export function getZonedParts(date, timeZone) {
+    const parts = {};
+    getPartsFormatter(timeZone).formatToParts(date).forEach(({ type, value }) => {
+        if (type !== 'literal') {
+            parts[type] = parseInt(value, 10);
+        }
+    });
+
+    return {
+        year: parts.year,
+        month: parts.month,
+        day: parts.day,
+        hour: parts.hour,
+        minute: parts.minute,
+        second: parts.second
+    };
+}
+
+/**
+ * Get a zone's UTC offset at an instant
+ * @param {Date} date - Instant
+ * @param {string} timeZone - IANA time zone
+ * @returns {number} Offset in minutes (positive east of UTC)
+ */
+export function getTimeZoneOffset(date, timeZone) {
+    const parts = getZonedParts(date, timeZone);
+    const asUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+    return Math.round((asUtc - Math.floor(date.getTime() / 1000) * 1000) / 60000);
+}
+
+/**
+ * Convert a wall-clock time in a zone to an instant
+ * @param {number} year - Year
+ * @param {number} month - Month (1-12)
+ * @param {number} day - Day of month
+ * @param {number} hour - Hour (0-23)
+ * @param {number} minute - Minute
+ * @param {string} timeZone - IANA time zone
+ * @returns {Date} Instant
+ */
+export function zonedTimeToDate(year, month, day, hour, minute, timeZone) {
+    const wallClockUtc = Date.UTC(year, month - 1, day, hour, minute);
+
+    // Two passes settle the offset, including across DST transitions
+    let instant = wallClockUtc - getTimeZoneOffset(new Date(wallClockUtc), timeZone) * 60000;
+    instant = wallClockUtc - getTimeZoneOffset(new Date(instant), timeZone) * 60000;
+
+    return new Date(instant);
+}
+
+/**
+ * Get an instant that identifies a calendar day in a zone (local noon)
+ * @param {string} dateValue - Date string (YYYY-MM-DD)
+ * @param {string} timeZone - IANA time zone
+ * @returns {Date} Local noon of that day
+ */
+export function getZonedDayAnchor(dateValue, timeZone) {
+    const [year, month, day] = dateValue.split('-').map(Number);
+    return zonedTimeToDate(year, month, day, 12, 0, timeZone);
+}
+
+/**
+ * Get the start of the calendar day containing an instant in a zone
+ * @param {Date} date - Instant
+ * @param {string} timeZone - IANA time zone
+ * @returns {Date} Local midnight
+ */
+export function getZonedMidnight(date, timeZone) {
+    const { year, month, day } = getZonedParts(date, timeZone);
+    return zonedTimeToDate(year, month, day, 0, 0, timeZone);
+}
+
+/**
+ * Format an instant's calendar day in a zone as a date picker value
+ * @param {Date} date - Instant
+ * @param {string} timeZone - IANA time zone
+ * @returns {string} Date string (YYYY-MM-DD)
+ */
+export function formatZonedDateValue(date, timeZone) {
+    const { year, month, day } = getZonedParts(date, timeZone);
+    return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+}
+
+/**
+ * Shift a date picker value by whole calendar days
+ * @param {string} dateValue - Date string (YYYY-MM-DD)
+ * @param {number} days - Days to add (negative to go back)
+ * @returns {string} Date string (YYYY-MM-DD)
+ */
+export function addDaysToDateValue(dateValue, days) {
+    const [year, month, day] = dateValue.split('-').map(Number);
+    return new Date(Date.UTC(year, month - 1, day + days)).toISOString().slice(0, 10);
+}
+
+/**
+ * Get the calendar range covering the next whole years from today in a zone
+ * @param {string} timeZone - IANA time zone
+ * @param {number} years - Length of the range in years
+ * @returns {Object} {startDate, endDate} date strings (YYYY-MM-DD), both inclusive
+ */
+export function getDateRangeFromToday(timeZone, years = 1) {
+    const startDate = formatZonedDateValue(new Date(), timeZone);
+    const [year, month, day] = startDate.split('-').map(Number);
+    const anniversary = new Date(Date.UTC(year + years, month - 1, day)).toISOString().slice(0, 10);
+
+    return { startDate, endDate: addDaysToDateValue(anniversary, -1) };
+}
+
+/**
+ * Format a clock time in a zone with a zone label
+ * @param {Date} date - Instant
+ * @param {string} timeZone - IANA time zone
+ * @param {boolean} withSeconds - Include seconds
+ * @returns {string} Formatted time such as "6:12 AM EDT"
+ */
+export function formatZonedTime(date, timeZone, withSeconds = false) {
+    if (!date || isNaN(date.getTime())) {
+        return 'N/A';
+    }
+
+    return date.toLocaleTimeString([], {
+        timeZone,
+        hour: '2-digit',
+        minute: '2-digit',
+        second: withSeconds ? '2-digit' : undefined,
+        hour12: true,
+        timeZoneName: 'short'
+    });
+}
+
+/**
+ * Format a calendar date in a zone
+ * @param {Date} date - Instant
+ * @param {string} timeZone - IANA time zone
+ * @param {string} month - Intl month style ('short' or 'long')
+ * @returns {string} Formatted date
+ */
+export function formatZonedDate(date, timeZone, month = 'short') {
+    return date.toLocaleDateString([], {
+        timeZone,
+        year: 'numeric',
+        month,
+        day: 'numeric'
+    });
+}
+
+/**
+ * Format a span of calendar days in a zone compactly
+ * @param {Date} startDate - First day
+ * @param {Date} endDate - Last day
+ * @param {string} timeZone - IANA time zone
+ * @returns {string} Formatted range such as "July 11 – 13" (a single date when both fall on the same day)
+ */
+export function formatZonedDateRange(startDate, endDate, timeZone) {
+    const format = new Intl.DateTimeFormat([], { timeZone, month: 'long', day: 'numeric' });
+    return format.formatRange(startDate, endDate);
+}
\ No newline at end of file
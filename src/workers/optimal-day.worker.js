@@ -0,0 +1,75 @@
+import { OptimalDayCalculator } from '../modules/optimal-day.js';
+import { HorizonProfile } from '../modules/terrain.js';
+
+/**
+ * Optimal day search worker.
+ * Messages in:  {id, type: 'run', method, args: [streetBearing(s), lat, lng, options]} or {id, type: 'cancel'}
+ * Messages out: {id, type: 'progress', progress}, {id, type: 'result', result} or {id, type: 'error', error: {name, message}}
+ */
+
+const METHODS = ['findOptimalDayWithProgress', 'findBrightMoonAlignments', 'findHengeDates', 'countAlignedDays'];
+
+const calculator = new OptimalDayCalculator();
+const controllers = new Map();
+
+/**
+ * Restore class instances that structured cloning turned into plain objects
+ * @param {Object} options - Search options as received
+ * @returns {Object} Search options
+ */
+function reviveOptions(options = {}) {
+    const horizon = options.eventOptions && options.eventOptions.horizon;
+    if (!horizon) {
+        return options;
+    }
+
+    return {
+        ...options,
+        eventOptions: {
+            ...options.eventOptions,
+            horizon: new HorizonProfile(horizon.id, horizon.azimuthStep, horizon.altitudes)
+        }
+    };
+}
+
+/**
+ * Run a search and post its progress and outcome
+ * @param {number} id - Request id
+ * @param {string} method - OptimalDayCalculator method name
+ * @param {Array} args - [streetBearing(s), lat, lng, options]
+ */
+async function run(id, method, args) {
+    const controller = new AbortController();
+    controllers.set(id, controller);
+
+    try {
+        if (!METHODS.includes(method)) {
+            throw new Error(`Unknown optimal day method "${method}"`);
+        }
+
+        const [bearing, lat, lng, options] = args;
+        const result = await calculator[method](
+            bearing,
+            lat,
+            lng,
+            (progress) => self.postMessage({ id, type: 'progress', progress }),
+            { ...reviveOptions(options), signal: controller.signal }
+        );
+
+        self.postMessage({ id, type: 'result', result });
+    } catch (error) {
+        self.postMessage({ id, type: 'error', error: { name: error.name, message: error.message } });
+    } finally {
+        controllers.delete(id);
+    }
+}
+
+self.addEventListener('message', (event) => {
+    const { id, type, method, args } = event.data;
+
+    if (type === 'run') {
+        run(id, method, args);
+    } else if (type === 'cancel' && controllers.has(id)) {
+        controllers.get(id).abort();
+    }
+});
\ No newline at end of file